@@ -0,0 +1,87 @@
+// eval-intent.js - Cross-validates the intent classifier on intent-examples.json
+// and reports, per head, overall accuracy plus how often the classifier is
+// confident enough to override the regex detectors and how accurate it is then.
+// Narrow-only heads (role) never override to their broad label, so those
+// predictions are not counted as overrides.
+//
+// Usage: node eval-intent.js [file] [--folds N] [--threshold T] [--json]
+//   --threshold  one override threshold for every head (default: per head)
+
+import {
+  HEADS,
+  DEFAULT_THRESHOLDS,
+  NARROW_ONLY_HEADS,
+  trainIntentClassifier,
+  loadIntentExamples
+} from './intent-classifier.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] !== undefined ? Number(args[i + 1]) : fallback;
+};
+const file = args.find((a, i) => !a.startsWith('--') && !['--folds', '--threshold'].includes(args[i - 1])) ||
+  './intent-examples.json';
+const folds = option('--folds', 5);
+const thresholdOverride = option('--threshold', null);
+const thresholds = Object.fromEntries(
+  HEADS.map(head => [head, thresholdOverride ?? DEFAULT_THRESHOLDS[head]])
+);
+const asJson = args.includes('--json');
+
+let examples;
+try {
+  examples = await loadIntentExamples(file);
+} catch (err) {
+  console.error(`${file}: ${err.message}`);
+  process.exit(2);
+}
+
+const stats = Object.fromEntries(
+  HEADS.map(head => [head, { labeled: 0, correct: 0, confident: 0, confidentCorrect: 0, errors: [] }])
+);
+
+// Deterministic folds: every k-th example is held out together
+for (let fold = 0; fold < folds; fold++) {
+  const train = examples.filter((_, i) => i % folds !== fold);
+  const test = examples.filter((_, i) => i % folds === fold);
+  const classifier = trainIntentClassifier(train);
+
+  for (const example of test) {
+    const prediction = classifier.predict(example.text);
+    for (const head of HEADS) {
+      if (!example[head]) continue;
+      const s = stats[head];
+      const p = prediction[head];
+      s.labeled++;
+      if (p && p.label === example[head]) s.correct++;
+      if (p && p.confidence >= thresholds[head] && p.label !== NARROW_ONLY_HEADS[head]) {
+        s.confident++;
+        if (p.label === example[head]) {
+          s.confidentCorrect++;
+        } else {
+          s.errors.push({ text: example.text, expected: example[head], predicted: p.label, confidence: p.confidence });
+        }
+      }
+    }
+  }
+}
+
+const pct = (n, d) => (d ? `${((100 * n) / d).toFixed(1)}%` : 'n/a');
+
+if (asJson) {
+  console.log(JSON.stringify({ file, folds, thresholds, stats }, null, 2));
+} else {
+  console.log(`${file}: ${examples.length} examples, ${folds}-fold cross-validation\n`);
+  for (const head of HEADS) {
+    const s = stats[head];
+    console.log(
+      `${head.padEnd(7)} accuracy ${pct(s.correct, s.labeled).padStart(6)}  ` +
+        `confidence >= ${thresholds[head]}: overrides ${pct(s.confident, s.labeled).padStart(6)} of queries, ` +
+        `${pct(s.confidentCorrect, s.confident)} correct`
+    );
+    s.errors.forEach(e =>
+      console.log(`        wrong override: "${e.text}" -> ${e.predicted} (${e.confidence}), expected ${e.expected}`)
+    );
+  }
+}
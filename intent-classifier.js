@@ -0,0 +1,159 @@
+// intent-classifier.js - Small offline classifier for intent, user role and topic
+// Shared by server.js (backs up the regex detectors) and eval-intent.js
+// (cross-validation report).
+//
+// Logistic regression over word unigrams + bigrams, one model per label
+// ("head"). Trained in memory from a labeled examples file at startup; an
+// example may label any subset of heads.
+
+import fs from 'fs/promises';
+
+const HEADS = ['intent', 'role', 'topic'];
+
+// Minimum confidence for a prediction to replace the keyword detectors' label.
+// Topic has six classes and little training text, so its posteriors run lower.
+const DEFAULT_THRESHOLDS = { intent: 0.85, role: 0.85, topic: 0.6 };
+
+// Heads whose prediction may only narrow the keyword label, from this broad
+// label to a specific one. Role predictions of "general" are often confidently
+// wrong ("recruiter question: ..." -> general at 0.93), while the role cues the
+// keyword detector finds are reliable.
+const NARROW_ONLY_HEADS = { role: 'general' };
+
+// ----- FEATURES -----
+
+// Function words signal intent and role ("what is", "can he", "as an engineer")
+// but only add noise to the subject of a query, so the topic head drops them
+const FUNCTION_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+  'is', 'are', 'was', 'were', 'be', 'do', 'does', 'did', 'has', 'have', 'had', 'can', 'could',
+  'would', 'should', 'how', 'what', 'why', 'when', 'where', 'which', 'who', 'he', 'his', 'him',
+  'kyle', 's', 'i', 'm', 'me', 'my', 'you', 'your', 'we', 'it', 'this', 'that',
+  'tell', 'about', 'give', 'describe', 'explain', 'walk', 'through'
+]);
+
+const HEAD_OPTIONS = {
+  intent: { contentOnly: false },
+  role: { contentOnly: false },
+  topic: { contentOnly: true }
+};
+
+// Binary unigram + bigram features (a repeated word counts once)
+function extractFeatures(text, { contentOnly = false } = {}) {
+  let words = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  if (contentOnly) words = words.filter(w => !FUNCTION_WORDS.has(w));
+  const features = [...words];
+  for (let i = 1; i < words.length; i++) {
+    features.push(`${words[i - 1]} ${words[i]}`);
+  }
+  return [...new Set(features)];
+}
+
+// ----- TRAINING -----
+
+// Multinomial logistic regression, full-batch gradient descent with L2.
+// Deterministic: same examples in, same weights out.
+function trainHead(examples, head, { epochs, learningRate, l2 }) {
+  const rows = examples
+    .filter(example => example[head])
+    .map(example => ({ label: example[head], features: extractFeatures(example.text, HEAD_OPTIONS[head]) }));
+
+  const labels = [...new Set(rows.map(r => r.label))];
+  const vocabulary = new Map(); // feature -> column
+  for (const row of rows) {
+    for (const f of row.features) if (!vocabulary.has(f)) vocabulary.set(f, vocabulary.size);
+  }
+
+  const k = labels.length;
+  const weights = new Float64Array(vocabulary.size * k);
+  const bias = new Float64Array(k);
+  const samples = rows.map(row => ({
+    target: labels.indexOf(row.label),
+    columns: row.features.map(f => vocabulary.get(f))
+  }));
+
+  for (let epoch = 0; epoch < epochs && k > 1; epoch++) {
+    const gradW = new Float64Array(weights.length);
+    const gradB = new Float64Array(k);
+
+    for (const { target, columns } of samples) {
+      const probs = softmax(logits(weights, bias, columns, k));
+      for (let c = 0; c < k; c++) {
+        const err = probs[c] - (c === target ? 1 : 0);
+        gradB[c] += err;
+        for (const col of columns) gradW[col * k + c] += err;
+      }
+    }
+
+    const n = samples.length;
+    for (let i = 0; i < weights.length; i++) {
+      weights[i] -= learningRate * (gradW[i] / n + l2 * weights[i]);
+    }
+    for (let c = 0; c < k; c++) bias[c] -= learningRate * (gradB[c] / n);
+  }
+
+  return { labels, vocabulary, weights, bias };
+}
+
+function logits(weights, bias, columns, k) {
+  const out = Array.from(bias);
+  for (const col of columns) {
+    for (let c = 0; c < k; c++) out[c] += weights[col * k + c];
+  }
+  return out;
+}
+
+function softmax(values) {
+  const max = Math.max(...values);
+  const exps = values.map(v => Math.exp(v - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map(e => e / sum);
+}
+
+function predictHead(model, features) {
+  // Features never seen in training say nothing; with none left, abstain
+  const columns = features.filter(f => model.vocabulary.has(f)).map(f => model.vocabulary.get(f));
+  if (!columns.length || model.labels.length < 2) return null;
+
+  const probs = softmax(logits(model.weights, model.bias, columns, model.labels.length));
+  const best = probs.indexOf(Math.max(...probs));
+  return { label: model.labels[best], confidence: Number(probs[best].toFixed(3)) };
+}
+
+function trainIntentClassifier(examples, { epochs = 300, learningRate = 1, l2 = 0.001 } = {}) {
+  const options = { epochs, learningRate, l2 };
+  const models = Object.fromEntries(HEADS.map(head => [head, trainHead(examples, head, options)]));
+
+  return {
+    size: examples.length,
+    labels: Object.fromEntries(HEADS.map(head => [head, models[head].labels])),
+
+    // { intent: { label, confidence } | null, role: ..., topic: ... }
+    predict(text) {
+      return Object.fromEntries(
+        HEADS.map(head => [head, predictHead(models[head], extractFeatures(text, HEAD_OPTIONS[head]))])
+      );
+    }
+  };
+}
+
+// ----- EXAMPLES FILE -----
+
+// { "examples": [ { "text": "...", "intent": "kyle", "role": "recruiter", "topic": "data" } ] }
+async function loadIntentExamples(file) {
+  const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+  if (!parsed || !Array.isArray(parsed.examples)) {
+    throw new Error('examples file must be { "examples": [...] }');
+  }
+  parsed.examples.forEach((example, index) => {
+    if (!example || typeof example.text !== 'string' || !example.text.trim()) {
+      throw new Error(`example #${index}: missing "text"`);
+    }
+    if (!HEADS.some(head => typeof example[head] === 'string')) {
+      throw new Error(`example #${index}: needs at least one of ${HEADS.join(', ')}`);
+    }
+  });
+  return parsed.examples;
+}
+
+export { HEADS, DEFAULT_THRESHOLDS, NARROW_ONLY_HEADS, extractFeatures, trainIntentClassifier, loadIntentExamples };
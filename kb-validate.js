@@ -0,0 +1,145 @@
+// kb-validate.js - Knowledge base schema validation + lint checks
+// Shared by server.js (startup / reload) and lint-kb.js (command line).
+//
+// Errors are schema violations: the entry cannot be served safely.
+// Warnings are quality issues: the entry is served but should be fixed.
+
+import Ajv from 'ajv';
+import fs from 'fs/promises';
+
+const schema = JSON.parse(
+  await fs.readFile(new URL('./kb-schema.json', import.meta.url), 'utf8')
+);
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(schema);
+const validateEntry = ajv.getSchema(`${schema.$id}#/definitions/entry`);
+
+const KNOWN_CATEGORIES = new Set(schema.definitions.knownCategory.enum);
+const NEAR_DUPLICATE_THRESHOLD = 0.85;
+
+// ----- HELPERS -----
+
+function describeEntry(entry, index) {
+  return { index, id: entry && typeof entry.id === 'string' ? entry.id : null };
+}
+
+function questionTokens(text) {
+  return new Set((String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []).filter(t => t.length > 2));
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let intersection = 0;
+  for (const t of a) {
+    if (b.has(t)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+// "...", "TBD", "todo" and similar stand-ins for real content
+function isPlaceholderText(text) {
+  const t = String(text).trim();
+  return t.replace(/[.\s…]/g, '').length === 0 || /^(tbd|todo|placeholder|n\/a)$/i.test(t);
+}
+
+// ----- SINGLE ENTRY -----
+
+function validateKnowledgeBaseEntry(entry) {
+  if (validateEntry(entry)) return [];
+  return validateEntry.errors
+    // Per-branch "required" failures are summarized by the anyOf error itself
+    .filter(err => !err.schemaPath.includes('/anyOf/'))
+    .map(err => {
+      if (err.keyword === 'anyOf') {
+        return 'needs "answer", "behavior", or "title" + "description"';
+      }
+      if (err.keyword === 'additionalProperties') {
+        return `unexpected field "${err.params.additionalProperty}"`;
+      }
+      if (err.keyword === 'required') {
+        return `missing required field "${err.params.missingProperty}"`;
+      }
+      return `${err.instancePath || 'entry'} ${err.message}`;
+    });
+}
+
+// ----- WHOLE KB -----
+
+function validateKnowledgeBase(kb) {
+  const errors = [];
+  const warnings = [];
+  const invalidIndexes = new Set();
+
+  if (!kb || typeof kb !== 'object' || !Array.isArray(kb.qaDatabase)) {
+    errors.push({ index: -1, id: null, rule: 'schema', message: 'top level must be { "qaDatabase": [...] }' });
+    return { errors, warnings, invalidIndexes, fatal: true };
+  }
+
+  const entries = kb.qaDatabase;
+  const seenIds = new Map();
+
+  entries.forEach((entry, index) => {
+    const where = describeEntry(entry, index);
+
+    for (const message of validateKnowledgeBaseEntry(entry)) {
+      errors.push({ ...where, rule: 'schema', message });
+      invalidIndexes.add(index);
+    }
+    if (!entry || typeof entry !== 'object') return;
+
+    if (where.id) {
+      if (seenIds.has(where.id)) {
+        warnings.push({
+          ...where,
+          rule: 'duplicate-id',
+          message: `duplicate id (first used at entry #${seenIds.get(where.id)})`
+        });
+      } else {
+        seenIds.set(where.id, index);
+      }
+    }
+
+    if (!entry.category) {
+      warnings.push({ ...where, rule: 'missing-category', message: 'missing "category"' });
+    } else if (typeof entry.category === 'string' && !KNOWN_CATEGORIES.has(entry.category)) {
+      warnings.push({
+        ...where,
+        rule: 'unknown-category',
+        message: `unknown category "${entry.category}" (add it to kb-schema.json if intended)`
+      });
+    }
+
+    if (Array.isArray(entry.keywords) && !entry.keywords.some(k => String(k).trim())) {
+      warnings.push({ ...where, rule: 'empty-keywords', message: 'no keywords' });
+    }
+
+    for (const field of ['answer', 'behavior', 'description']) {
+      if (typeof entry[field] === 'string' && isPlaceholderText(entry[field])) {
+        warnings.push({ ...where, rule: 'placeholder', message: `"${field}" is placeholder text` });
+      }
+    }
+  });
+
+  // Near-duplicate questions (pairwise; fine at KB scale)
+  const questions = entries
+    .map((entry, index) => ({ entry, index, tokens: questionTokens(entry && entry.question) }))
+    .filter(q => q.tokens.size >= 3);
+
+  for (let i = 0; i < questions.length; i++) {
+    for (let j = i + 1; j < questions.length; j++) {
+      const similarity = jaccard(questions[i].tokens, questions[j].tokens);
+      if (similarity >= NEAR_DUPLICATE_THRESHOLD) {
+        warnings.push({
+          ...describeEntry(questions[j].entry, questions[j].index),
+          rule: 'near-duplicate',
+          message: `question nearly duplicates entry #${questions[i].index} ("${questions[i].entry.question}")`
+        });
+      }
+    }
+  }
+
+  return { errors, warnings, invalidIndexes, fatal: false };
+}
+
+export { KNOWN_CATEGORIES, validateKnowledgeBase, validateKnowledgeBaseEntry };
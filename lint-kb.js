@@ -0,0 +1,41 @@
+// lint-kb.js - Lints knowledge-base.json against kb-schema.json and reports
+// duplicate ids, missing fields, unknown categories, empty keywords,
+// placeholder text and near-duplicate questions.
+//
+// Usage: node lint-kb.js [file] [--strict] [--json]
+//   --strict  exit non-zero on warnings as well as errors
+//   --json    machine-readable report
+
+import fs from 'fs/promises';
+import { validateKnowledgeBase } from './kb-validate.js';
+
+const args = process.argv.slice(2);
+const file = args.find(a => !a.startsWith('--')) || './knowledge-base.json';
+const strict = args.includes('--strict');
+const asJson = args.includes('--json');
+
+let kb;
+try {
+  kb = JSON.parse(await fs.readFile(file, 'utf8'));
+} catch (err) {
+  console.error(`${file}: cannot read or parse: ${err.message}`);
+  process.exit(2);
+}
+
+const { errors, warnings } = validateKnowledgeBase(kb);
+
+if (asJson) {
+  console.log(JSON.stringify({ file, errors, warnings }, null, 2));
+} else {
+  const print = (level, issue) => {
+    const where = issue.index >= 0 ? `#${issue.index}${issue.id ? ` (${issue.id})` : ''}` : 'kb';
+    console.log(`${level.padEnd(7)} ${where}: [${issue.rule}] ${issue.message}`);
+  };
+  errors.forEach(issue => print('error', issue));
+  warnings.forEach(issue => print('warning', issue));
+
+  const total = Array.isArray(kb.qaDatabase) ? kb.qaDatabase.length : 0;
+  console.log(`\n${file}: ${total} entries, ${errors.length} errors, ${warnings.length} warnings`);
+}
+
+process.exit(errors.length || (strict && warnings.length) ? 1 : 0);
@@ -6,61 +6,623 @@
 import express from 'express';
 import cors from 'cors';
 import Groq from 'groq-sdk';
+import nodemailer from 'nodemailer';
 import fs from 'fs/promises';
+import { watch } from 'fs';
+import crypto from 'crypto';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { KNOWN_CATEGORIES, validateKnowledgeBase, validateKnowledgeBaseEntry } from './kb-validate.js';
+import { DEFAULT_THRESHOLDS, NARROW_ONLY_HEADS, trainIntentClassifier, loadIntentExamples } from './intent-classifier.js';
 
 const app = express();
 const PORT = process.env.PORT || 10000;
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
 
-// === EMAIL ALERT SETUP ===
-// The agent will send usage alerts to this email via FormSubmit.co
-// No account or extra setup required.
-const ALERT_EMAIL = 'lamkyk@hotmail.com';
+// ======================================================================
+// ACCESS CONTROL (CORS ALLOWLIST + REQUEST LIMITS)
+// ======================================================================
+
+// CORS_ORIGINS: comma-separated allowlist ("https://kyle.dev,http://localhost:3000").
+// Unset or "*" allows any origin. Browsers are refused through CORS; requests
+// from other origins that arrive anyway are rejected with 403.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+const CORS_ALLOW_ANY = CORS_ORIGINS.includes('*');
+
+// Behind a proxy (Render, Vercel, nginx) req.ip must come from X-Forwarded-For;
+// a hop count, "true"/"false", or an Express trust-proxy expression
+const TRUST_PROXY = process.env.TRUST_PROXY ?? '1';
+app.set(
+  'trust proxy',
+  /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : /^(true|false)$/.test(TRUST_PROXY) ? TRUST_PROXY === 'true' : TRUST_PROXY
+);
+
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '64kb';
+
+// Sliding-window limits per route. The first rule whose paths include the
+// request path applies ("*" matches any path); routes listed in one rule share
+// its counters. perIp / perOrigin are requests per windowMs (0 = unlimited),
+// maxQueryLength caps the "q" field. Override with REQUEST_LIMITS (JSON array);
+// the server refuses to start when a rule is malformed.
+const DEFAULT_REQUEST_LIMITS = [
+  { name: 'query', paths: ['/query', '/query/stream'], windowMs: 60000, perIp: 12, perOrigin: 120, maxQueryLength: 1000 },
+  { name: 'suggest', paths: ['/suggest'], windowMs: 60000, perIp: 30, perOrigin: 300, maxQueryLength: 1000 },
+  { name: 'documents', paths: ['/fit', '/summary'], windowMs: 60000, perIp: 4, perOrigin: 40 },
+  { name: 'default', paths: ['*'], windowMs: 60000, perIp: 120, perOrigin: 0 }
+];
+
+// One message per problem, e.g. 'rule 0 (query): "windowMs" must be a positive number'
+function requestLimitErrors(rules) {
+  if (!Array.isArray(rules)) return ['must be a JSON array of rules'];
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const where = `rule ${i}${rule && typeof rule.name === 'string' ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof rule.name !== 'string' || !rule.name) errors.push(`${where}: "name" must be a non-empty string`);
+    if (!Array.isArray(rule.paths) || !rule.paths.length || !rule.paths.every(p => typeof p === 'string')) {
+      errors.push(`${where}: "paths" must be a non-empty array of strings`);
+    }
+    if (!(Number.isFinite(rule.windowMs) && rule.windowMs > 0)) {
+      errors.push(`${where}: "windowMs" must be a positive number`);
+    }
+    if (rule.perIp === undefined && rule.perOrigin === undefined) {
+      errors.push(`${where}: needs "perIp" and/or "perOrigin" (0 = unlimited)`);
+    }
+    for (const field of ['perIp', 'perOrigin', 'maxQueryLength']) {
+      if (rule[field] !== undefined && !(Number.isInteger(rule[field]) && rule[field] >= 0)) {
+        errors.push(`${where}: "${field}" must be a non-negative integer`);
+      }
+    }
+  });
+  return errors;
+}
+
+function loadRequestLimits() {
+  if (!process.env.REQUEST_LIMITS) return DEFAULT_REQUEST_LIMITS;
+  let rules;
+  let errors;
+  try {
+    rules = JSON.parse(process.env.REQUEST_LIMITS);
+    errors = requestLimitErrors(rules);
+  } catch (err) {
+    errors = [`not valid JSON (${err.message})`];
+  }
+  if (errors.length) {
+    console.error(`Refusing to start: REQUEST_LIMITS is invalid:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+  }
+  return rules;
+}
+
+const REQUEST_LIMITS = loadRequestLimits();
+const REQUEST_LIMITER_MAX_KEYS = 10000;
+
+function findRequestLimit(requestPath) {
+  return REQUEST_LIMITS.find(rule => rule.paths.includes(requestPath) || rule.paths.includes('*')) || null;
+}
+
+// key -> timestamps of requests inside the window, oldest first
+function createSlidingWindowLimiter(maxKeys) {
+  const windows = new Map();
+
+  return {
+    // { allowed, retryAfterMs }; records the request only when allowed
+    hit(key, limit, windowMs, now = Date.now()) {
+      const stamps = (windows.get(key) || []).filter(t => t > now - windowMs);
+      windows.delete(key); // re-inserted below, so the Map stays ordered by last use
+
+      if (stamps.length >= limit) {
+        windows.set(key, stamps);
+        return { allowed: false, retryAfterMs: stamps[0] + windowMs - now };
+      }
+      stamps.push(now);
+      windows.set(key, stamps);
+      if (windows.size > maxKeys) windows.delete(windows.keys().next().value);
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  };
+}
+
+const requestLimiter = createSlidingWindowLimiter(REQUEST_LIMITER_MAX_KEYS);
+
+function tooManyRequests(res, retryAfterMs, scope) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too many requests', scope, retryAfter });
+}
+
+app.use(
+  cors({
+    origin: (origin, callback) => callback(null, CORS_ALLOW_ANY || !origin || CORS_ORIGINS.includes(origin))
+  })
+);
+
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  if (!CORS_ALLOW_ANY && origin && !CORS_ORIGINS.includes(origin)) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+  if (req.method === 'OPTIONS') return next();
+
+  const rule = findRequestLimit(req.path);
+  if (!rule) return next();
+
+  if (rule.perIp > 0) {
+    const { allowed, retryAfterMs } = requestLimiter.hit(`${rule.name}|ip|${req.ip}`, rule.perIp, rule.windowMs);
+    if (!allowed) return tooManyRequests(res, retryAfterMs, 'ip');
+  }
+  if (rule.perOrigin > 0 && origin) {
+    const { allowed, retryAfterMs } = requestLimiter.hit(`${rule.name}|origin|${origin}`, rule.perOrigin, rule.windowMs);
+    if (!allowed) return tooManyRequests(res, retryAfterMs, 'origin');
+  }
+  next();
+});
+
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+app.use((req, res, next) => {
+  const rule = findRequestLimit(req.path);
+  const q = req.body && req.body.q;
+  if (rule && rule.maxQueryLength && typeof q === 'string' && q.length > rule.maxQueryLength) {
+    return res.status(413).json({ error: `Query too long (max ${rule.maxQueryLength} characters)` });
+  }
+  next();
+});
+
+// ======================================================================
+// PRIVACY (IP ANONYMIZATION, REDACTION, RETENTION, OPT-OUT)
+// ======================================================================
+
+// Usage records never hold a raw IP: PRIVACY_IP_MODE "hash" (default) keeps a
+// salted hash, "truncate" keeps the network part (IPv4 /24, IPv6 /48), "drop"
+// keeps nothing. Emails and phone numbers are redacted from any query text that
+// is logged or stored. Requests with DNT: 1, Sec-GPC: 1 or X-Opt-Out: 1 are not
+// recorded at all.
+//
+// Stored records are kept for PRIVACY_RETENTION_DAYS (0 = no limit) and can be
+// deleted per visitor token (DELETE /privacy/visitor/:token; the token is sent
+// back in the X-Visitor-Token header). Stores take part by registering
+// { name, prune(cutoffMs), deleteVisitor(token), persistent? } with
+// registerPrivacyStore; remote sinks (webhook, smtp, console) cannot be recalled.
+//
+// Tokens are salted with PRIVACY_SALT. Without it the salt is random per
+// process, so after a restart old tokens no longer match records kept on disk
+// and cannot be used to delete them: set it whenever a persistent store
+// (analytics or query events "jsonl") is used. A missing salt is warned about
+// at startup, and the random one is used.
+
+const PRIVACY_IP_MODE = process.env.PRIVACY_IP_MODE || 'hash';
+const PRIVACY_RETENTION_DAYS = Number(process.env.PRIVACY_RETENTION_DAYS ?? 30);
+const PRIVACY_RETENTION_CHECK_MS = 60 * 60 * 1000;
+// Random per process unless set (see above)
+const PRIVACY_SALT = process.env.PRIVACY_SALT || crypto.randomBytes(16).toString('hex');
+
+if (!['hash', 'truncate', 'drop'].includes(PRIVACY_IP_MODE)) {
+  throw new Error(`Unknown PRIVACY_IP_MODE "${PRIVACY_IP_MODE}"`);
+}
+
+function saltedHash(value, length = 16) {
+  return crypto.createHash('sha256').update(`${PRIVACY_SALT}|${value}`).digest('hex').slice(0, length);
+}
+
+// The eight 16-bit groups of an IPv6 address, with "::" expanded
+function ipv6Groups(ip) {
+  const [head, tail] = ip.split('::');
+  const parse = part =>
+    (part ? part.split(':') : []).flatMap(group =>
+      // A trailing embedded IPv4 address ("::ffff:1.2.3.4") fills two groups
+      net.isIPv4(group) ? ['0', '0'] : [group]
+    );
+  const left = parse(head);
+  const right = parse(tail);
+  const zeros = tail === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+  return [...left, ...zeros, ...right].map(group => parseInt(group, 16).toString(16));
+}
+
+function anonymizeIp(ip) {
+  if (!ip || PRIVACY_IP_MODE === 'drop') return null;
+  if (PRIVACY_IP_MODE === 'hash') return saltedHash(`ip|${ip}`);
+
+  const v4 = /^(?:::ffff:)?(\d+\.\d+\.\d+)\.\d+$/i.exec(ip);
+  if (v4) return `${v4[1]}.0`;
+  const address = ip.replace(/%.*$/, ''); // zone id ("fe80::1%eth0")
+  if (!net.isIPv6(address)) return null;
+  return `${ipv6Groups(address).slice(0, 3).join(':')}::`;
+}
 
-app.use(cors());
-app.use(express.json());
+// Opaque per-visitor token: same browser + network -> same token
+function visitorToken(req) {
+  return saltedHash(`visitor|${req.ip || ''}|${req.headers['user-agent'] || ''}`);
+}
+
+function isTrackingOptOut(req) {
+  return ['dnt', 'sec-gpc', 'x-opt-out'].some(header => req.headers[header] === '1');
+}
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Phone-like shapes only, so dates ("2023-01-15", "01/15/2023") and years are
+// left alone: "+" and 7+ digits, 3-3-4 groups ("(555) 123-4567", "1-555-123-4567"),
+// or 10-15 digits in a row
+const PHONE_PATTERN =
+  /(?<![\w+])(?:\+\d[\d\s().-]{5,}\d|(?:1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}|\d{10,15})(?!\w)/g;
+
+function redactPII(text) {
+  return String(text || '')
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(PHONE_PATTERN, match => (match.replace(/\D/g, '').length >= 7 ? '[phone]' : match));
+}
+
+// Query text as it may appear in server logs
+function queryForLog(req, text, maxLength = 50) {
+  if (isTrackingOptOut(req)) return '[not logged: opt-out]';
+  const clean = redactPII(text);
+  return `${clean.substring(0, maxLength)}${clean.length > maxLength ? '...' : ''}`;
+}
+
+// ----- STORES: RETENTION + DELETION -----
+
+const privacyStores = [];
+
+function registerPrivacyStore(store) {
+  privacyStores.push(store);
+}
+
+async function enforceRetention() {
+  if (!(PRIVACY_RETENTION_DAYS > 0)) return;
+  const cutoffMs = Date.now() - PRIVACY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const store of privacyStores) {
+    try {
+      const removed = await store.prune(cutoffMs);
+      if (removed) console.log(`Privacy retention: removed ${removed} expired record(s) from ${store.name}`);
+    } catch (err) {
+      console.error(`Privacy retention failed for ${store.name}:`, err.message || err);
+    }
+  }
+}
+
+async function deleteVisitorRecords(token) {
+  const deleted = {};
+  for (const store of privacyStores) {
+    deleted[store.name] = (deleted[store.name] || 0) + (await store.deleteVisitor(token));
+  }
+  return deleted;
+}
+
+// Stores register further down this file; SECTION 9 calls this once they all have
+function startPrivacyMaintenance() {
+  if (!process.env.PRIVACY_SALT && privacyStores.some(store => store.persistent)) {
+    const names = privacyStores.filter(store => store.persistent).map(store => store.name).join(', ');
+    console.warn(
+      `WARNING: PRIVACY_SALT is not set but persistent stores (${names}) keep records across restarts. ` +
+        'Using a random per-process salt: visitor tokens change on every restart and older records can no ' +
+        'longer be deleted by token. Set PRIVACY_SALT to a fixed random value.'
+    );
+  }
+
+  enforceRetention();
+  setInterval(enforceRetention, PRIVACY_RETENTION_CHECK_MS).unref();
+}
 
 // ======================================================================
-// TRACKING MIDDLEWARE (SENDS EMAIL ON USE)
+// ANALYTICS (VISITOR EVENTS + DIGESTS)
 // ======================================================================
+
+// POST /query traffic is recorded as visit events and rolled up into periodic
+// digests ("12 new visitors in the last hour"). Visitors are identified by
+// their visitor token and IPs are anonymized (see PRIVACY); opted-out requests
+// are not recorded. Each visitor produces one event per
+// ANALYTICS_DEDUPE_WINDOW_MS (0 = one per query), sampled at
+// ANALYTICS_SAMPLE_RATE; digests count every query. Events leave out the
+// query text unless ANALYTICS_INCLUDE_QUERY=1 (it is then PII-redacted).
+//
+// Sinks are listed per stream, comma-separated:
+//   ANALYTICS_EVENT_SINKS   (default jsonl)    batched visit events
+//   ANALYTICS_DIGEST_SINKS  (default console)  one digest per interval
+// Kinds: jsonl (ANALYTICS_JSONL_FILE), webhook (ANALYTICS_WEBHOOK_URL, optional
+// ANALYTICS_WEBHOOK_SECRET for an HMAC signature), smtp (ANALYTICS_SMTP_URL as
+// smtp[s]://user:pass@host:port, ANALYTICS_EMAIL_TO, ANALYTICS_EMAIL_FROM),
+// console, none. A sink is any object exposing name and async send(records);
+// the jsonl sink also takes part in retention and per-visitor deletion.
+
+const ANALYTICS_EVENT_SINKS = process.env.ANALYTICS_EVENT_SINKS ?? 'jsonl';
+const ANALYTICS_DIGEST_SINKS = process.env.ANALYTICS_DIGEST_SINKS ?? 'console';
+const ANALYTICS_SAMPLE_RATE = Number(process.env.ANALYTICS_SAMPLE_RATE ?? 1);
+const ANALYTICS_DEDUPE_WINDOW_MS = Number(process.env.ANALYTICS_DEDUPE_WINDOW_MS ?? 24 * 60 * 60 * 1000);
+const ANALYTICS_DIGEST_INTERVAL_MS = Number(process.env.ANALYTICS_DIGEST_INTERVAL_MS) || 60 * 60 * 1000;
+const ANALYTICS_FLUSH_INTERVAL_MS = Number(process.env.ANALYTICS_FLUSH_INTERVAL_MS) || 10000;
+const ANALYTICS_BATCH_SIZE = Number(process.env.ANALYTICS_BATCH_SIZE) || 50;
+const ANALYTICS_INCLUDE_QUERY = /^(1|true)$/i.test(process.env.ANALYTICS_INCLUDE_QUERY || '');
+const ANALYTICS_JSONL_FILE = process.env.ANALYTICS_JSONL_FILE || './.cache/analytics.jsonl';
+const ANALYTICS_MAX_VISITORS = 50000;
+
+// ----- SINKS -----
+
+// filePath -> tail of its pending writes; appends and rewrites never interleave
+const jsonlFileChains = new Map();
+
+function withJsonlFile(filePath, task) {
+  const run = (jsonlFileChains.get(filePath) || Promise.resolve()).then(task);
+  jsonlFileChains.set(filePath, run.catch(() => {}));
+  return run;
+}
+
+// Rewrites the file keeping only records that pass keep(); returns how many went
+function filterJsonlFile(filePath, keep) {
+  return withJsonlFile(filePath, async () => {
+    let lines;
+    try {
+      lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+    const kept = lines.filter(line => {
+      try {
+        return keep(JSON.parse(line));
+      } catch {
+        return false; // unreadable lines are dropped rather than kept forever
+      }
+    });
+    if (kept.length === lines.length) return 0;
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, kept.map(line => `${line}\n`).join(''));
+    await fs.rename(tmpPath, filePath);
+    return lines.length - kept.length;
+  });
+}
+
+function createJsonlAnalyticsSink(filePath) {
+  return {
+    name: 'jsonl',
+    send(records) {
+      return withJsonlFile(filePath, async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, records.map(r => `${JSON.stringify(r)}\n`).join(''));
+      });
+    },
+    prune(cutoffMs) {
+      return filterJsonlFile(filePath, record => Date.parse(record.time || record.to) >= cutoffMs);
+    },
+    deleteVisitor(token) {
+      return filterJsonlFile(filePath, record => record.visitor !== token);
+    }
+  };
+}
+
+function createWebhookAnalyticsSink(url, secret) {
+  if (!url) throw new Error('webhook analytics sink requires ANALYTICS_WEBHOOK_URL');
+  return {
+    name: 'webhook',
+    async send(records) {
+      const body = JSON.stringify({ source: 'agent-k', records });
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) {
+        headers['X-Agent-K-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+      const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(10000) });
+      if (!response.ok) throw new Error(`webhook returned HTTP ${response.status}`);
+    }
+  };
+}
+
+function createConsoleAnalyticsSink() {
+  return {
+    name: 'console',
+    async send(records) {
+      for (const record of records) {
+        console.log(record.type === 'digest' ? `[analytics] ${record.summary}` : `[analytics] ${JSON.stringify(record)}`);
+      }
+    }
+  };
+}
+
+function createSmtpAnalyticsSink(smtpUrl, to, from) {
+  if (!smtpUrl || !to) throw new Error('smtp analytics sink requires ANALYTICS_SMTP_URL and ANALYTICS_EMAIL_TO');
+  // smtps:// connects over TLS; smtp:// upgrades with STARTTLS when offered
+  const transport = nodemailer.createTransport(smtpUrl);
+  return {
+    name: 'smtp',
+    async send(records) {
+      const lines = records.map(r => (r.type === 'digest' ? r.summary : JSON.stringify(r)));
+      await transport.sendMail({
+        from: from || `agent-k@${new URL(smtpUrl).hostname}`,
+        to,
+        subject: records.length === 1 && records[0].type === 'digest' ? `Agent K: ${records[0].summary}` : 'Agent K activity',
+        text: lines.join('\n')
+      });
+    }
+  };
+}
+
+function createAnalyticsSink(kind) {
+  switch (kind) {
+    case 'jsonl':
+      return createJsonlAnalyticsSink(ANALYTICS_JSONL_FILE);
+    case 'webhook':
+      return createWebhookAnalyticsSink(process.env.ANALYTICS_WEBHOOK_URL, process.env.ANALYTICS_WEBHOOK_SECRET);
+    case 'smtp':
+      return createSmtpAnalyticsSink(
+        process.env.ANALYTICS_SMTP_URL,
+        process.env.ANALYTICS_EMAIL_TO,
+        process.env.ANALYTICS_EMAIL_FROM
+      );
+    case 'console':
+      return createConsoleAnalyticsSink();
+    default:
+      throw new Error(`Unknown analytics sink "${kind}"`);
+  }
+}
+
+function createAnalyticsSinks(list) {
+  return list
+    .split(',')
+    .map(kind => kind.trim())
+    .filter(kind => kind && kind !== 'none')
+    .map(createAnalyticsSink);
+}
+
+const analyticsEventSinks = createAnalyticsSinks(ANALYTICS_EVENT_SINKS);
+const analyticsDigestSinks = createAnalyticsSinks(ANALYTICS_DIGEST_SINKS);
+
+for (const sink of [...analyticsEventSinks, ...analyticsDigestSinks]) {
+  if (sink.prune && sink.deleteVisitor) {
+    registerPrivacyStore({
+      name: `analytics ${sink.name}`,
+      prune: sink.prune,
+      deleteVisitor: sink.deleteVisitor,
+      persistent: true
+    });
+  }
+}
+
+// Delivery is best effort: a failing sink is logged and never blocks a request
+async function deliverAnalytics(sinks, records) {
+  await Promise.all(
+    sinks.map(sink =>
+      sink.send(records).catch(err => console.error(`Analytics ${sink.name} sink error:`, err.message || err))
+    )
+  );
+}
+
+// ----- COLLECTION + DIGESTS -----
+
+const analyticsVisitors = new Map(); // visitor -> last event time, oldest first
+let analyticsBuffer = [];
+let analyticsPeriod = { start: Date.now(), queries: 0, visitors: new Set(), newVisitors: new Set() };
+const analyticsCounters = { events: 0, sampledOut: 0, digests: 0 };
+
+function recordQueryEvent(req, visitor) {
+  const now = Date.now();
+  const lastEventAt = analyticsVisitors.get(visitor);
+  const isNew = lastEventAt === undefined || now - lastEventAt >= ANALYTICS_DEDUPE_WINDOW_MS;
+
+  analyticsPeriod.queries++;
+  analyticsPeriod.visitors.add(visitor);
+  if (lastEventAt === undefined) analyticsPeriod.newVisitors.add(visitor);
+  if (!isNew) return;
+
+  analyticsVisitors.delete(visitor);
+  analyticsVisitors.set(visitor, now);
+  if (analyticsVisitors.size > ANALYTICS_MAX_VISITORS) analyticsVisitors.delete(analyticsVisitors.keys().next().value);
+
+  if (Math.random() >= ANALYTICS_SAMPLE_RATE) {
+    analyticsCounters.sampledOut++;
+    return;
+  }
+
+  const client = anonymizeIp(req.ip);
+  analyticsBuffer.push({
+    type: 'visit',
+    time: new Date(now).toISOString(),
+    visitor,
+    ...(client ? { client } : {}),
+    path: req.path,
+    origin: req.headers.origin || null,
+    ...(ANALYTICS_INCLUDE_QUERY ? { query: redactPII(String(req.body.q)).slice(0, 200) } : {})
+  });
+  analyticsCounters.events++;
+  if (analyticsBuffer.length >= ANALYTICS_BATCH_SIZE) flushAnalyticsEvents();
+}
+
+function flushAnalyticsEvents() {
+  if (!analyticsBuffer.length || !analyticsEventSinks.length) {
+    analyticsBuffer = [];
+    return Promise.resolve();
+  }
+  const batch = analyticsBuffer;
+  analyticsBuffer = [];
+  return deliverAnalytics(analyticsEventSinks, batch);
+}
+
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes % 60 === 0 && minutes >= 60) return minutes === 60 ? 'hour' : `${minutes / 60} hours`;
+  return minutes === 1 ? 'minute' : `${minutes} minutes`;
+}
+
+// Quiet periods send nothing
+function sendAnalyticsDigest() {
+  const period = analyticsPeriod;
+  const now = Date.now();
+  analyticsPeriod = { start: now, queries: 0, visitors: new Set(), newVisitors: new Set() };
+
+  for (const [visitor, lastEventAt] of analyticsVisitors) {
+    if (now - lastEventAt < ANALYTICS_DEDUPE_WINDOW_MS) break;
+    analyticsVisitors.delete(visitor);
+  }
+
+  if (!period.queries || !analyticsDigestSinks.length) return Promise.resolve();
+  const n = period.newVisitors.size;
+  const digest = {
+    type: 'digest',
+    from: new Date(period.start).toISOString(),
+    to: new Date(now).toISOString(),
+    queries: period.queries,
+    visitors: period.visitors.size,
+    newVisitors: n,
+    summary: `${n} new visitor${n === 1 ? '' : 's'} in the last ${formatDuration(now - period.start)} (${period.visitors.size} total, ${period.queries} quer${period.queries === 1 ? 'y' : 'ies'})`
+  };
+  analyticsCounters.digests++;
+  return deliverAnalytics(analyticsDigestSinks, [digest]);
+}
+
+function analyticsStats() {
+  return {
+    eventSinks: analyticsEventSinks.map(s => s.name),
+    digestSinks: analyticsDigestSinks.map(s => s.name),
+    sampleRate: ANALYTICS_SAMPLE_RATE,
+    pendingEvents: analyticsBuffer.length,
+    periodQueries: analyticsPeriod.queries,
+    ...analyticsCounters
+  };
+}
+
+// Unsent events and visitor bookkeeping held in memory
+registerPrivacyStore({
+  name: 'analytics memory',
+  async prune(cutoffMs) {
+    const before = analyticsBuffer.length;
+    analyticsBuffer = analyticsBuffer.filter(event => Date.parse(event.time) >= cutoffMs);
+    return before - analyticsBuffer.length;
+  },
+  async deleteVisitor(token) {
+    const before = analyticsBuffer.length;
+    analyticsBuffer = analyticsBuffer.filter(event => event.visitor !== token);
+    analyticsVisitors.delete(token);
+    analyticsPeriod.visitors.delete(token);
+    analyticsPeriod.newVisitors.delete(token);
+    return before - analyticsBuffer.length;
+  }
+});
+
+setInterval(flushAnalyticsEvents, ANALYTICS_FLUSH_INTERVAL_MS).unref();
+setInterval(sendAnalyticsDigest, ANALYTICS_DIGEST_INTERVAL_MS).unref();
+
 app.use((req, res, next) => {
   try {
-    // Only track actual queries (POST /query), not health checks
-    if (req.path === '/query' && req.method === 'POST' && ALERT_EMAIL) {
-      const userIP = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'Unknown IP';
-      const query = req.body.q;
-
-      // Filter out empty queries to avoid spam
-      if (query) {
-        // Send email via FormSubmit.co (Free, Secure, No Config)
-        fetch(`https://formsubmit.co/ajax/${ALERT_EMAIL}`, {
-          method: 'POST',
-          headers: { 
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          body: JSON.stringify({
-            _subject: `Agent K Alert: New User Detected`, // Subject line
-            _captcha: "false",
-            User_IP: userIP,
-            Query: query,
-            Time: new Date().toLocaleString()
-          })
-        }).catch(err => {
-          // If email fails (e.g. rate limit), log it but DO NOT crash the agent
-          console.error('Silent Email Error:', err.message);
-        });
+    // Only actual queries count, not health checks or suggestions
+    if ((req.path === '/query' || req.path === '/query/stream') && req.method === 'POST' && req.body && req.body.q) {
+      // Opted-out requests get no token at all, not just no record
+      if (!isTrackingOptOut(req)) {
+        const visitor = visitorToken(req);
+        res.set('X-Visitor-Token', visitor);
+        recordQueryEvent(req, visitor);
       }
     }
   } catch (error) {
-    console.error('Tracking Error:', error); // Absolute safety net
+    console.error('Analytics error:', error);
   }
-  
-  // Always let the request continue to the agent logic
   next();
 });
 
-// Embedding model (Groq-hosted). Auto-disabled if not available.
+// Default Groq embedding model. Auto-disabled if not available.
 const EMBEDDING_MODEL = process.env.GROQ_EMBED_MODEL || 'nomic-embed-text-v1.5';
 let EMBEDDINGS_ENABLED = false;
 
@@ -236,16 +798,74 @@ function extractKeywords(text) {
   return (text.toLowerCase().match(/\b[a-z]{3,}\b/g) || []).slice(0, 10);
 }
 
+// ----- TEXT ANALYSIS (STOP WORDS + STEMMING) -----
+// Shared by the BM25 index and the local TF-IDF embeddings. Tokens are whole
+// words, so "ai" never matches inside "maintain".
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'as', 'at', 'be', 'by', 'do', 'he', 'if', 'in', 'is', 'it', 'me',
+  'my', 'of', 'on', 'or', 'so', 'to', 'up', 'us', 'we',
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that',
+  'from', 'they', 'them', 'their', 'have', 'has', 'had', 'was', 'were', 'what',
+  'when', 'where', 'which', 'who', 'how', 'why', 'can', 'could', 'would', 'should',
+  'will', 'did', 'does', 'about', 'into', 'than', 'then', 'there', 'these', 'those',
+  'its', 'his', 'her', 'him', 'she', 'our', 'out', 'any', 'all', 'also', 'been',
+  'being', 'some', 'such', 'very', 'just', 'more', 'most', 'other', 'over', 'each',
+  'tell', 'give', 'describe'
+]);
+
+// Light suffix stripper: conflates the common inflections seen in the KB
+// (tests/tested/testing, escalate/escalated/escalation) without a dictionary.
+function stemTerm(term) {
+  if (term.length <= 3 || /\d/.test(term)) return term;
+  let t = term;
+
+  if (t.endsWith('sses')) t = t.slice(0, -2);
+  else if (t.endsWith('ies') && t.length > 4) t = `${t.slice(0, -3)}y`;
+  else if (t.endsWith('s') && !/(ss|us|is)$/.test(t)) t = t.slice(0, -1);
+
+  if (t.endsWith('ations') || t.endsWith('ation')) t = t.replace(/ations?$/, 'ate');
+  else if (t.endsWith('ing') && t.length > 5) t = t.slice(0, -3);
+  else if (t.endsWith('ed') && t.length > 4) t = t.slice(0, -2);
+  else if (t.endsWith('ly') && t.length > 5) t = t.slice(0, -2);
+
+  // planned -> plann -> plan
+  if (/([^aeiouslz])\1$/.test(t)) t = t.slice(0, -1);
+  if (t.endsWith('e') && t.length > 4) t = t.slice(0, -1);
+
+  return t;
+}
+
+function tokenizeWords(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []).filter(
+    t => !STOP_WORDS.has(t)
+  );
+}
+
+function analyzeText(text) {
+  return tokenizeWords(text).map(stemTerm);
+}
+
 // ----- TOPIC CLASSIFIER (KYLE DOMAINS) -----
 
-function classifyTopic(lower) {
+const TOPIC_PHRASES = {
+  autonomous: 'autonomous systems and perception testing',
+  program: 'program and project execution',
+  customer: 'customer and rider experience',
+  data: 'large scale training data and data quality programs',
+  ai: 'applied AI tools and scripting',
+  general: 'his work in autonomous systems, validation, program management, SaaS workflows, and applied AI tools'
+};
+
+// Keyword detector; the learned classifier may override it (see SECTION 3)
+function detectTopicKey(lower) {
   if (
     lower.includes('autonomous') ||
     lower.includes('autopilot') ||
     lower.includes('perception') ||
     lower.includes('sensor')
   ) {
-    return 'autonomous systems and perception testing';
+    return 'autonomous';
   }
   if (
     lower.includes('program') ||
@@ -253,7 +873,7 @@ function classifyTopic(lower) {
     lower.includes('execution') ||
     lower.includes('roadmap')
   ) {
-    return 'program and project execution';
+    return 'program';
   }
   if (
     lower.includes('customer') ||
@@ -262,7 +882,7 @@ function classifyTopic(lower) {
     lower.includes('account') ||
     lower.includes('rider')
   ) {
-    return 'customer and rider experience';
+    return 'customer';
   }
   if (
     lower.includes('data') ||
@@ -270,18 +890,22 @@ function classifyTopic(lower) {
     lower.includes('annotation') ||
     lower.includes('training data')
   ) {
-    return 'large scale training data and data quality programs';
+    return 'data';
   }
   if (
-    lower.includes('ai') ||
+    /\bai\b/.test(lower) ||
     lower.includes('agent') ||
     lower.includes('script') ||
     lower.includes('node') ||
     lower.includes('express')
   ) {
-    return 'applied AI tools and scripting';
+    return 'ai';
   }
-  return 'his work in autonomous systems, validation, program management, SaaS workflows, and applied AI tools';
+  return 'general';
+}
+
+function classifyTopic(lower) {
+  return TOPIC_PHRASES[resolveLabel('topic', lower, detectTopicKey(lower))];
 }
 
 // ----- COSINE SIMILARITY (EMBEDDINGS) -----
@@ -324,8 +948,23 @@ function textSimilarity(a, b) {
   return intersection / unionSize;
 }
 
+// `prev` may be a single answer or a list of recent answers (conversation history)
 function isHighlySimilarAnswer(prev, next, threshold = 0.8) {
-  return textSimilarity(prev, next) >= threshold;
+  const prevAnswers = Array.isArray(prev) ? prev : [prev];
+  return prevAnswers.some(p => textSimilarity(p, next) >= threshold);
+}
+
+function findMostSimilarAnswer(prevAnswers, next) {
+  let best = null;
+  let bestScore = 0;
+  for (const p of prevAnswers) {
+    const score = textSimilarity(p, next);
+    if (score > bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  }
+  return best;
 }
 
 // ----- BEHAVIORAL / PM-CX DETECTOR -----
@@ -356,210 +995,2181 @@ function isBehavioralOrPMCXQuestion(lower) {
 }
 
 // ======================================================================
-// SECTION 2: KNOWLEDGE BASE + EMBEDDINGS
+// SECTION 1A: LLM PROVIDERS
 // ======================================================================
 
-let knowledgeBase = { qaDatabase: [] };
-let kbEmbeddings = []; // { index, embedding }
+// All model calls go through llmChat / llmChatStream / llmEmbed. Providers are
+// tried in order; 429, 5xx and network errors are retried with exponential
+// backoff, then the next provider takes over.
+//
+// Configure with LLM_PROVIDERS (JSON array) or LLM_PROVIDERS_FILE, e.g.
+//   [
+//     { "type": "groq", "model": "llama-3.1-8b-instant" },
+//     { "type": "openai", "name": "together", "baseURL": "https://api.together.xyz/v1",
+//       "apiKeyEnv": "TOGETHER_API_KEY", "model": "meta-llama/Llama-3-8b-chat-hf" },
+//     { "type": "stub" }
+//   ]
+// Without config, Groq alone is used (GROQ_API_KEY, GROQ_MODEL, GROQ_EMBED_MODEL).
+//
+// A provider is { name, model, embedModel, chat(request, { signal }), chatStream(request,
+// { signal }) (async iterable of text deltas, optional), embed(inputs) or null }.
+// A provider entry may also set "tpm" / "rpm" limits, and "embedTpm" / "embedRpm"
+// for embeddings (see TOKEN BUDGET below).
 
-// For suggestion rotation
-let recentSuggestionPhrases = []; // last few suggestion questions the user likely clicked
+const LLM_MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 2);
+const LLM_RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS) || 500;
+const LLM_RETRY_MAX_MS = 8000;
 
-function markSuggestionUsed(q) {
-  const t = (q || '').trim();
-  if (!t) return;
-  const lower = t.toLowerCase();
-  recentSuggestionPhrases = [t, ...recentSuggestionPhrases.filter(x => x.toLowerCase() !== lower)];
-  if (recentSuggestionPhrases.length > 5) {
-    recentSuggestionPhrases.length = 5;
-  }
+function resolveApiKey(config) {
+  return config.apiKey || (config.apiKeyEnv && process.env[config.apiKeyEnv]) || undefined;
 }
 
-// ----- KB EMBEDDINGS BUILD -----
+// ----- GROQ -----
 
-async function buildKnowledgeBaseEmbeddings() {
-  try {
-    // If Groq embeddings are not available at all, skip
-    if (!groq.embeddings || typeof groq.embeddings.create !== 'function') {
-      EMBEDDINGS_ENABLED = false;
-      console.warn('Groq embeddings API not available; hybrid search will use keyword-only mode.');
-      return;
-    }
+function createGroqProvider(config) {
+  const client = new Groq({
+    apiKey: resolveApiKey({ apiKeyEnv: 'GROQ_API_KEY', ...config }),
+    maxRetries: 0 // retries and failover are handled by withProviderFailover
+  });
+  const model = config.model || process.env.GROQ_MODEL || 'llama-3.1-8b-instant';
+  const embedModel = config.embedModel || EMBEDDING_MODEL;
+  const canEmbed = !!client.embeddings && typeof client.embeddings.create === 'function';
 
-    if (!knowledgeBase.qaDatabase || knowledgeBase.qaDatabase.length === 0) {
-      console.log('No KB entries, skipping embeddings');
-      EMBEDDINGS_ENABLED = false;
-      return;
-    }
+  return {
+    name: config.name || 'groq',
+    model,
+    embedModel: canEmbed ? embedModel : null,
 
-    const inputs = knowledgeBase.qaDatabase.map(qa => {
-      const q = qa.question || '';
-      const a = qa.answer || '';
-      return `${q}\n\n${a}`;
-    });
+    async chat(request, { signal } = {}) {
+      const response = await client.chat.completions.create({ ...request, model }, { signal });
+      return response.choices[0]?.message?.content?.trim() || '';
+    },
 
-    const batchSize = 50;
-    kbEmbeddings = [];
+    async *chatStream(request, { signal } = {}) {
+      const completion = await client.chat.completions.create(
+        { ...request, model, stream: true },
+        { signal }
+      );
+      for await (const chunk of completion) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
 
-    for (let i = 0; i < inputs.length; i += batchSize) {
-      const batch = inputs.slice(i, i + batchSize);
-      const embResp = await groq.embeddings.create({
-        model: EMBEDDING_MODEL,
-        input: batch
-      });
+    embed: canEmbed
+      ? async inputs => {
+          const response = await client.embeddings.create({ model: embedModel, input: inputs });
+          return (response.data || []).map(item => item.embedding);
+        }
+      : null
+  };
+}
 
-      if (embResp && Array.isArray(embResp.data)) {
-        embResp.data.forEach((item, idx) => {
-          kbEmbeddings.push({
-            index: i + idx,
-            embedding: item.embedding
-          });
-        });
-      }
+// ----- OPENAI-COMPATIBLE (OpenAI, Together, OpenRouter, vLLM, Ollama, ...) -----
+
+async function* readSSEData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith('data:')) yield line.slice(5).trim();
     }
-
-    EMBEDDINGS_ENABLED = kbEmbeddings.length > 0;
-    console.log(
-      `Built embeddings for ${kbEmbeddings.length} KB entries; EMBEDDINGS_ENABLED=${EMBEDDINGS_ENABLED}`
-    );
-  } catch (err) {
-    EMBEDDINGS_ENABLED = false;
-    kbEmbeddings = [];
-    console.warn(
-      'Failed to build KB embeddings; falling back to keyword-only search:',
-      err.message || err
-    );
   }
 }
 
-// ----- KB LOAD + BEHAVIOR RULES EXTRACTION -----
+function createOpenAICompatibleProvider(config) {
+  if (!config.baseURL || !config.model) {
+    throw new Error('openai provider requires "baseURL" and "model"');
+  }
 
-try {
-  const data = await fs.readFile('./knowledge-base.json', 'utf8');
-  knowledgeBase = JSON.parse(data);
-  console.log(`Loaded ${knowledgeBase.qaDatabase.length} Q&A entries from knowledge-base.json`);
-  await buildKnowledgeBaseEmbeddings();
+  const name = config.name || 'openai';
+  const baseURL = config.baseURL.replace(/\/+$/, '');
+  const apiKey = resolveApiKey(config);
+  const timeoutMs = config.timeoutMs || 60000;
+
+  async function post(path, body, signal) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const response = await fetch(`${baseURL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
 
-  function buildBehaviorRules(kb) {
-    if (!kb || !kb.qaDatabase) return '';
-    const raw = kb.qaDatabase
-      .filter(entry => entry.behavior)
-      .map(entry => entry.behavior.trim())
-      .join('\n');
-    // Safety cap: ensure behavior rules don't eat entire token budget
-    return raw.slice(0, 1000);
+    if (!response.ok) {
+      const err = new Error(`${name} ${path} returned HTTP ${response.status}`);
+      err.status = response.status;
+      err.headers = response.headers;
+      throw err;
+    }
+    return response;
   }
 
-  global.KB_BEHAVIOR_RULES = buildBehaviorRules(knowledgeBase);
-} catch (err) {
-  console.error('Failed to load knowledge base:', err);
+  return {
+    name,
+    model: config.model,
+    embedModel: config.embedModel || null,
+
+    async chat(request, { signal } = {}) {
+      const response = await post('/chat/completions', { ...request, model: config.model }, signal);
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content?.trim() || '';
+    },
+
+    async *chatStream(request, { signal } = {}) {
+      const response = await post(
+        '/chat/completions',
+        { ...request, model: config.model, stream: true },
+        signal
+      );
+      for await (const data of readSSEData(response.body)) {
+        if (data === '[DONE]') return;
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+
+    embed: config.embedModel
+      ? async inputs => {
+          const response = await post('/embeddings', { model: config.embedModel, input: inputs });
+          const data = await response.json();
+          return (data.data || []).map(item => item.embedding);
+        }
+      : null
+  };
 }
 
-// ----- KB KEYWORD SCORING -----
+// ----- STUB (OFFLINE / TESTS) -----
 
-function keywordScoreAll(query) {
-  const q = query.toLowerCase().trim();
-  if (!q) return [];
+function createStubProvider(config = {}) {
+  const reply =
+    config.reply ||
+    'Kyle’s background spans autonomous systems validation, structured testing programs, large scale training data efforts, SaaS customer success, and applied AI tools.';
 
-  return (knowledgeBase.qaDatabase || []).map((qa, idx) => {
-    const question = (qa.question || '').toLowerCase();
-    const answer = (qa.answer || '').toLowerCase();
-    const keywords = qa.keywords || [];
+  return {
+    name: config.name || 'stub',
+    model: 'stub',
+    embedModel: null,
 
-    let score = 0;
+    async chat() {
+      return reply;
+    },
 
-    const keywordHit = keywords.some(k => q.includes(String(k).toLowerCase()));
-    if (keywordHit) score += 25;
+    async *chatStream() {
+      for (const word of reply.split(/(?<=\s)/)) yield word;
+    },
 
-    if (question.length >= 20) {
-      if (q.includes(question.substring(0, 20))) score += 10;
-    }
+    embed: null
+  };
+}
 
-    const words = q.split(/\s+/).filter(w => w.length > 2);
-    words.forEach(word => {
-      if (
-        question.includes(word) ||
-        answer.includes(word) ||
-        keywords.some(k => String(k).toLowerCase().includes(word))
-      ) {
-        score += 3;
-      }
-    });
+// ----- TOKEN BUDGET (TPM / RPM) -----
+// Each rate-limited provider gets a token bucket for tokens per minute and one
+// for requests per minute. A call reserves its estimated prompt tokens plus
+// max_tokens before it is sent (the unused part of max_tokens is refunded once
+// the reply is in). Calls that would have to wait longer than
+// LLM_BUDGET_MAX_WAIT_MS, or that find LLM_BUDGET_MAX_QUEUE calls already
+// waiting, are shed with an LLM_BUDGET_EXHAUSTED error instead of being sent
+// into a provider 429. Streams are reconciled when they end or are dropped.
+//
+// Embedding calls never draw on the chat budget: embedding the KB at startup
+// or on reload would drain it (and be shed itself). A provider entry may set
+// "embedTpm" / "embedRpm" to meter embeddings in a bucket of their own.
+
+const LLM_BUDGET_MAX_WAIT_MS = Number(process.env.LLM_BUDGET_MAX_WAIT_MS ?? 15000);
+const LLM_BUDGET_MAX_QUEUE = Number(process.env.LLM_BUDGET_MAX_QUEUE ?? 20);
+const LLM_DEFAULT_COMPLETION_TOKENS = 1024;
+
+// provider -> budget; providers injected through setLLMProviders are unmetered
+const providerBudgets = new WeakMap();
+const embeddingBudgets = new WeakMap();
+
+// Groq free tier (llama-3.1-8b-instant); other providers only when configured
+function providerLimits(config) {
+  if (config.type === 'groq') {
+    return {
+      tpm: Number(config.tpm ?? process.env.GROQ_TPM_LIMIT ?? 6000),
+      rpm: Number(config.rpm ?? process.env.GROQ_RPM_LIMIT ?? 30)
+    };
+  }
+  return { tpm: Number(config.tpm) || 0, rpm: Number(config.rpm) || 0 };
+}
 
-    return { ...qa, score, index: idx };
-  });
+function embeddingLimits(config) {
+  return { tpm: Number(config.embedTpm) || 0, rpm: Number(config.embedRpm) || 0 };
 }
 
-// ----- KB HYBRID SEARCH (KEYWORD + EMBEDDINGS) -----
+// estimateTokens (SECTION 2B) is ~4 characters per token; close enough to budget against
+function estimatePromptTokens(messages = []) {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content) + 4, 0);
+}
 
-async function hybridSearchKnowledgeBase(query, limit = 5) {
-  const q = query.toLowerCase().trim();
-  if (!q || !knowledgeBase.qaDatabase || knowledgeBase.qaDatabase.length === 0) return [];
+function budgetExhaustedError(providerName, reason, retryAfterMs) {
+  const err = new Error(`${providerName} LLM budget exhausted: ${reason}`);
+  err.code = 'LLM_BUDGET_EXHAUSTED';
+  err.retryAfterMs = retryAfterMs;
+  return err;
+}
 
-  const keywordScoredFull = keywordScoreAll(q);
-  const maxKeywordScore = keywordScoredFull.reduce(
-    (max, item) => Math.max(max, item.score),
-    0
-  );
+function isLLMBudgetError(err) {
+  return !!err && err.code === 'LLM_BUDGET_EXHAUSTED';
+}
 
-  // If embeddings are not enabled, just do keyword
-  if (!EMBEDDINGS_ENABLED || !kbEmbeddings || kbEmbeddings.length === 0) {
-    return keywordScoredFull
-      .filter(item => item.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, limit);
+function createTokenBudget(name, { tpm, rpm, maxWaitMs = LLM_BUDGET_MAX_WAIT_MS, maxQueue = LLM_BUDGET_MAX_QUEUE }) {
+  const buckets = {
+    tokens: tpm > 0 ? { capacity: tpm, level: tpm } : null,
+    requests: rpm > 0 ? { capacity: rpm, level: rpm } : null
+  };
+  let refilledAt = Date.now();
+  let tail = Promise.resolve();
+  let queued = 0;
+  let pendingTokens = 0; // reserved by calls still waiting in the queue
+  const counters = { granted: 0, shed: 0, waitedMs: 0 };
+
+  function refill(now = Date.now()) {
+    const elapsed = now - refilledAt;
+    refilledAt = now;
+    for (const bucket of Object.values(buckets)) {
+      if (bucket) bucket.level = Math.min(bucket.capacity, bucket.level + (elapsed * bucket.capacity) / 60000);
+    }
   }
 
-  let queryEmbedding = null;
-  try {
-    const embResp = await groq.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: [query]
-    });
-    if (embResp && Array.isArray(embResp.data) && embResp.data[0]) {
-      queryEmbedding = embResp.data[0].embedding;
+  // Milliseconds until both buckets hold the given amounts
+  function waitMs(tokens, requests) {
+    let ms = 0;
+    for (const [bucket, need] of [[buckets.tokens, tokens], [buckets.requests, requests]]) {
+      if (bucket && need > bucket.level) {
+        ms = Math.max(ms, Math.ceil(((need - bucket.level) * 60000) / bucket.capacity));
+      }
+    }
+    return ms;
+  }
+
+  function shed(reason, retryAfterMs) {
+    counters.shed++;
+    throw budgetExhaustedError(name, reason, retryAfterMs);
+  }
+
+  return {
+    // Resolves once the call may go out (FIFO); returns refund(actualTokens)
+    async acquire(tokens, { signal } = {}) {
+      if (buckets.tokens && tokens > buckets.tokens.capacity) {
+        shed(`call needs ~${tokens} tokens, limit is ${buckets.tokens.capacity}/min`, 60000);
+      }
+      refill();
+      const projected = waitMs(pendingTokens + tokens, queued + 1);
+      if (queued >= maxQueue) shed(`${queued} calls already waiting`, projected);
+      if (projected > maxWaitMs) shed(`next slot in ~${Math.ceil(projected / 1000)}s`, projected);
+
+      queued++;
+      pendingTokens += tokens;
+      const started = Date.now();
+      const turn = tail.then(async () => {
+        for (;;) {
+          if (signal && signal.aborted) throw signal.reason || new Error('aborted');
+          refill();
+          const ms = waitMs(tokens, 1);
+          if (!ms) break;
+          await sleep(ms);
+        }
+        if (buckets.tokens) buckets.tokens.level -= tokens;
+        if (buckets.requests) buckets.requests.level -= 1;
+      });
+      tail = turn.catch(() => {});
+
+      try {
+        await turn;
+      } finally {
+        queued--;
+        pendingTokens -= tokens;
+      }
+      counters.granted++;
+      counters.waitedMs += Date.now() - started;
+
+      // Only the first call counts, so a failed call can refund unconditionally
+      let refunded = false;
+      return actualTokens => {
+        if (refunded) return;
+        refunded = true;
+        if (!buckets.tokens || actualTokens === undefined || actualTokens >= tokens) return;
+        refill();
+        buckets.tokens.level = Math.min(buckets.tokens.capacity, buckets.tokens.level + (tokens - actualTokens));
+      };
+    },
+
+    stats() {
+      refill();
+      return {
+        tpm: buckets.tokens ? buckets.tokens.capacity : null,
+        rpm: buckets.requests ? buckets.requests.capacity : null,
+        availableTokens: buckets.tokens ? Math.floor(buckets.tokens.level) : null,
+        availableRequests: buckets.requests ? Math.floor(buckets.requests.level) : null,
+        queued,
+        ...counters
+      };
+    }
+  };
+}
+
+function llmBudgetStats() {
+  return llmProviders.map(provider => {
+    const budget = providerBudgets.get(provider);
+    const embedBudget = embeddingBudgets.get(provider);
+    return {
+      provider: provider.name,
+      limited: !!budget,
+      ...(budget ? budget.stats() : {}),
+      ...(embedBudget ? { embeddings: embedBudget.stats() } : {})
+    };
+  });
+}
+
+// ----- PROVIDER REGISTRY -----
+
+const providerFactories = {
+  groq: createGroqProvider,
+  openai: createOpenAICompatibleProvider,
+  stub: createStubProvider
+};
+
+async function loadProviderConfigs() {
+  if (process.env.LLM_PROVIDERS) return JSON.parse(process.env.LLM_PROVIDERS);
+  if (process.env.LLM_PROVIDERS_FILE) {
+    return JSON.parse(await fs.readFile(process.env.LLM_PROVIDERS_FILE, 'utf8'));
+  }
+  return [{ type: 'groq' }];
+}
+
+function createProviders(configs) {
+  return configs.map(config => {
+    const factory = providerFactories[config.type];
+    if (!factory) throw new Error(`Unknown LLM provider type "${config.type}"`);
+    const provider = factory(config);
+    const limits = providerLimits(config);
+    if (limits.tpm > 0 || limits.rpm > 0) providerBudgets.set(provider, createTokenBudget(provider.name, limits));
+    const embedLimits = embeddingLimits(config);
+    if (embedLimits.tpm > 0 || embedLimits.rpm > 0) {
+      embeddingBudgets.set(provider, createTokenBudget(`${provider.name} embeddings`, embedLimits));
+    }
+    return provider;
+  });
+}
+
+let llmProviders = createProviders(await loadProviderConfigs());
+
+// Swap the provider chain at runtime (tests inject fakes through this)
+function setLLMProviders(providers) {
+  llmProviders = providers;
+}
+
+// Embeddings must come from one model, so only the first capable provider is used
+function getEmbeddingProvider() {
+  return llmProviders.find(p => typeof p.embed === 'function') || null;
+}
+
+// ----- RETRY / FAILOVER -----
+
+function isRetryableLLMError(err) {
+  const status = err && err.status;
+  // No status means the request never got a response (network, timeout)
+  return status === undefined || status === 429 || status >= 500;
+}
+
+function retryDelayMs(err, attempt) {
+  const retryAfter = Number(err && err.headers && err.headers.get && err.headers.get('retry-after'));
+  if (retryAfter > 0) return Math.min(LLM_RETRY_MAX_MS, retryAfter * 1000);
+  return Math.min(LLM_RETRY_MAX_MS, LLM_RETRY_BASE_MS * 2 ** attempt);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// tokens: estimated cost of one attempt, reserved from the provider's budget
+// (budgets: providerBudgets or embeddingBudgets); actualTokens(result) lets a
+// finished call refund what it did not use. Calls that finish later (streams)
+// get refund as their second argument instead. A call that throws generated
+// nothing, so its whole reservation goes back.
+async function withProviderFailover(
+  providers,
+  operation,
+  call,
+  { signal, tokens = 0, actualTokens, budgets = providerBudgets } = {}
+) {
+  let lastErr = null;
+
+  providerLoop: for (const provider of providers) {
+    const budget = budgets.get(provider);
+
+    for (let attempt = 0; attempt <= LLM_MAX_RETRIES; attempt++) {
+      try {
+        const refund = budget ? await budget.acquire(tokens, { signal }) : null;
+        let result;
+        try {
+          result = await call(provider, refund);
+        } catch (err) {
+          if (refund) refund(0);
+          throw err;
+        }
+        if (refund && actualTokens) refund(actualTokens(result));
+        return result;
+      } catch (err) {
+        lastErr = err;
+        if (isLLMBudgetError(err)) {
+          console.warn(`${err.message}; failing over`);
+          continue providerLoop;
+        }
+        if ((signal && signal.aborted) || !isRetryableLLMError(err)) throw err;
+
+        if (attempt < LLM_MAX_RETRIES) {
+          const delay = retryDelayMs(err, attempt);
+          console.warn(
+            `${provider.name} ${operation} failed (${err.status || err.message}); retrying in ${delay}ms`
+          );
+          await sleep(delay);
+        }
+      }
+    }
+    console.warn(`${provider.name} ${operation} exhausted retries; failing over`);
+  }
+
+  throw lastErr || new Error(`No LLM provider configured for ${operation}`);
+}
+
+// ----- PUBLIC LLM CALLS -----
+
+async function llmChat(request, { signal } = {}) {
+  const promptTokens = estimatePromptTokens(request.messages);
+  return withProviderFailover(llmProviders, 'chat', provider => provider.chat(request, { signal }), {
+    signal,
+    tokens: promptTokens + (request.max_tokens || LLM_DEFAULT_COMPLETION_TOKENS),
+    actualTokens: reply => promptTokens + estimateTokens(reply)
+  });
+}
+
+// Failover only happens before the first delta; mid-stream errors propagate
+async function llmChatStream(request, { signal } = {}) {
+  const promptTokens = estimatePromptTokens(request.messages);
+  return withProviderFailover(
+    llmProviders,
+    'chat stream',
+    async (provider, refund) => {
+      const source = provider.chatStream
+        ? provider.chatStream(request, { signal })
+        : (async function* () {
+            yield await provider.chat(request, { signal });
+          })();
+      const iterator = source[Symbol.asyncIterator]();
+      const first = await iterator.next();
+
+      // A plain iterator rather than a generator: return() before the first
+      // next() must still close the provider stream and settle the budget
+      let pending = first;
+      let text = '';
+      let closed = false;
+      function close() {
+        if (closed) return false;
+        closed = true;
+        // Finished or abandoned: give back the part of max_tokens not streamed
+        if (refund) refund(promptTokens + estimateTokens(text));
+        return true;
+      }
+
+      return {
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+        async next() {
+          if (closed) return { done: true, value: undefined };
+          try {
+            const step = pending || (await iterator.next());
+            pending = null;
+            if (step.done) close();
+            else text += step.value;
+            return step;
+          } catch (err) {
+            close();
+            throw err;
+          }
+        },
+        async return() {
+          if (close() && iterator.return) await iterator.return();
+          return { done: true, value: undefined };
+        }
+      };
+    },
+    { signal, tokens: promptTokens + (request.max_tokens || LLM_DEFAULT_COMPLETION_TOKENS) }
+  );
+}
+
+async function llmEmbed(inputs) {
+  const provider = getEmbeddingProvider();
+  if (!provider) throw new Error('No configured LLM provider supports embeddings');
+  return withProviderFailover([provider], 'embed', p => p.embed(inputs), {
+    tokens: inputs.reduce((sum, input) => sum + estimateTokens(input), 0),
+    budgets: embeddingBudgets
+  });
+}
+
+// ======================================================================
+// SECTION 2: KNOWLEDGE BASE + EMBEDDINGS
+// ======================================================================
+
+let knowledgeBase = { qaDatabase: [] };
+let kbEmbeddings = []; // { index, embedding }
+
+// ----- KB ENTRY ACCESSORS -----
+// Entries are question/answer, answer-only, behavior-only, or portfolio items
+// (title/description); these give retrieval and prompts one view of all of them.
+
+function entryQuestion(qa) {
+  return qa.question || qa.title || '';
+}
+
+function entryAnswer(qa) {
+  return qa.answer || qa.description || '';
+}
+
+function formatContextEntry(qa, idx) {
+  const question = entryQuestion(qa);
+  return question
+    ? `${idx + 1}. Question: ${question}\n   Answer: ${entryAnswer(qa)}\n\n`
+    : `${idx + 1}. ${entryAnswer(qa)}\n\n`;
+}
+
+// Citation for a KB entry that was sent to the model as context
+function toSourceEntry(qa, score = null) {
+  return {
+    id: qa.id || null,
+    category: qa.category || null,
+    question: entryQuestion(qa) || null,
+    score: typeof score === 'number' ? Number(score.toFixed(3)) : null
+  };
+}
+
+// Answer when the LLM budget is exhausted: the retrieved entries' own answers
+// verbatim, best first, instead of a generated synthesis
+function buildKbOnlyAnswer(entries, maxEntries = 2) {
+  return entries
+    .map(entryAnswer)
+    .filter(answer => answer.replace(/[.\s…]/g, '').length >= 20) // skip "..." placeholders
+    .slice(0, maxEntries)
+    .join('\n\n');
+}
+
+// For suggestion rotation
+let recentSuggestionPhrases = []; // last few suggestion questions the user likely clicked
+
+function markSuggestionUsed(q) {
+  const t = (q || '').trim();
+  if (!t) return;
+  const lower = t.toLowerCase();
+  recentSuggestionPhrases = [t, ...recentSuggestionPhrases.filter(x => x.toLowerCase() !== lower)];
+  if (recentSuggestionPhrases.length > 5) {
+    recentSuggestionPhrases.length = 5;
+  }
+}
+
+// ----- LOCAL TF-IDF EMBEDDINGS (OFFLINE BACKEND) -----
+// Used when no remote embeddings API is available (or EMBEDDINGS_BACKEND=local).
+// Vectors are sublinear TF-IDF over a vocabulary fitted on the KB, L2-normalized,
+// so cosineSimilarity works on them exactly like on remote embeddings.
+
+function createTfidfEmbeddingBackend(documents) {
+  const vocabulary = new Map(); // term -> dimension
+  const docFrequency = [];
+
+  for (const doc of documents) {
+    for (const term of new Set(analyzeText(doc))) {
+      if (!vocabulary.has(term)) {
+        vocabulary.set(term, vocabulary.size);
+        docFrequency.push(0);
+      }
+      docFrequency[vocabulary.get(term)]++;
+    }
+  }
+
+  const n = documents.length;
+  const idf = docFrequency.map(df => Math.log((1 + n) / (1 + df)) + 1);
+
+  function vectorize(text) {
+    const counts = new Map();
+    for (const term of analyzeText(text)) {
+      const dim = vocabulary.get(term);
+      if (dim !== undefined) counts.set(dim, (counts.get(dim) || 0) + 1);
+    }
+
+    const vector = new Float32Array(vocabulary.size);
+    let norm = 0;
+    for (const [dim, count] of counts) {
+      const weight = (1 + Math.log(count)) * idf[dim];
+      vector[dim] = weight;
+      norm += weight * weight;
+    }
+    if (norm) {
+      norm = Math.sqrt(norm);
+      for (const dim of counts.keys()) vector[dim] /= norm;
+    }
+    return vector;
+  }
+
+  return {
+    name: 'local-tfidf',
+    embed: async inputs => inputs.map(vectorize)
+  };
+}
+
+// ----- REMOTE EMBEDDINGS (PROVIDER API) -----
+
+function createRemoteEmbeddingBackend() {
+  const provider = getEmbeddingProvider();
+  if (!provider) return null;
+  return {
+    name: `${provider.name}:${provider.embedModel}`,
+    embed: inputs => llmEmbed(inputs)
+  };
+}
+
+// ----- PERSISTENT EMBEDDING CACHE -----
+// Remote embeddings are cached across restarts so a cold start only embeds KB
+// entries whose text changed. Keys combine the entry id with a hash of the
+// embedding backend (provider + model) and the embedded text, so editing an
+// answer or changing GROQ_EMBED_MODEL invalidates exactly the affected vectors.
+// A cache store is any object exposing async load() -> Map and save(Map).
+
+const EMBEDDING_CACHE_FILE = process.env.EMBEDDING_CACHE_FILE || './.cache/embeddings.json';
+
+function createFileEmbeddingCacheStore(filePath) {
+  return {
+    async load() {
+      try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        return new Map(Object.entries(data.entries || {}));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          console.warn('Ignoring unreadable embedding cache:', err.message || err);
+        }
+        return new Map();
+      }
+    },
+
+    async save(entries) {
+      // Write-then-rename so a crash never leaves a truncated cache behind
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({ version: 1, entries: Object.fromEntries(entries) }));
+      await fs.rename(tmpPath, filePath);
+    }
+  };
+}
+
+function createEmbeddingCacheStore(kind) {
+  switch (kind) {
+    case 'file':
+      return createFileEmbeddingCacheStore(EMBEDDING_CACHE_FILE);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown EMBEDDING_CACHE "${kind}"`);
+  }
+}
+
+const embeddingCacheStore = createEmbeddingCacheStore(process.env.EMBEDDING_CACHE || 'file');
+
+function embeddingCacheKey(backendName, entry, text) {
+  const hash = crypto.createHash('sha256').update(`${backendName}\n${text}`).digest('hex');
+  return `${entry.id || ''}:${hash.slice(0, 32)}`;
+}
+
+async function embedWithCache(backend, entries, inputs) {
+  if (!embeddingCacheStore) return embedInBatches(backend, inputs);
+
+  const cached = await embeddingCacheStore.load();
+  const keys = inputs.map((text, idx) => embeddingCacheKey(backend.name, entries[idx], text));
+  const missing = keys
+    .map((key, idx) => (cached.has(key) ? -1 : idx))
+    .filter(idx => idx >= 0);
+
+  const fresh = await embedInBatches(backend, missing.map(idx => inputs[idx]));
+  fresh.forEach(({ index, embedding }) => {
+    cached.set(keys[missing[index]], Array.from(embedding));
+  });
+
+  console.log(`Embedding cache: ${inputs.length - missing.length} reused, ${missing.length} embedded`);
+
+  // Only keep vectors for the current KB + backend; stale keys are dropped
+  const current = new Map(keys.map(key => [key, cached.get(key)]));
+  if (missing.length || current.size !== cached.size) {
+    try {
+      await embeddingCacheStore.save(current);
+    } catch (err) {
+      console.warn('Failed to persist embedding cache:', err.message || err);
+    }
+  }
+
+  return keys.map((key, index) => ({ index, embedding: current.get(key) }));
+}
+
+// ----- KB EMBEDDINGS BUILD -----
+
+// auto (remote if it works, else local) | remote | local | none
+const EMBEDDINGS_BACKEND = process.env.EMBEDDINGS_BACKEND || 'auto';
+
+// Backend that produced kbEmbeddings; query vectors must come from the same one
+let embeddingBackend = null;
+
+async function embedInBatches(backend, inputs, batchSize = 50) {
+  const out = [];
+  for (let i = 0; i < inputs.length; i += batchSize) {
+    const vectors = await backend.embed(inputs.slice(i, i + batchSize));
+    vectors.forEach((embedding, idx) => {
+      out.push({ index: i + idx, embedding });
+    });
+  }
+  return out;
+}
+
+// Builds vectors for the given entries without touching the live KB state, so
+// a reload can prepare everything before swapping it in.
+async function buildKnowledgeBaseEmbeddings(qaDatabase) {
+  const none = { embeddings: [], backend: null };
+
+  if (EMBEDDINGS_BACKEND === 'none') {
+    console.log('EMBEDDINGS_BACKEND=none; hybrid search will use keyword-only mode.');
+    return none;
+  }
+
+  if (!qaDatabase || qaDatabase.length === 0) {
+    console.log('No KB entries, skipping embeddings');
+    return none;
+  }
+
+  const inputs = qaDatabase.map(qa => `${entryQuestion(qa)}\n\n${entryAnswer(qa)}`);
+
+  if (EMBEDDINGS_BACKEND !== 'local') {
+    const remote = createRemoteEmbeddingBackend();
+    if (!remote) {
+      console.warn('No embeddings API available.');
+    } else {
+      try {
+        const embeddings = await embedWithCache(remote, qaDatabase, inputs);
+        console.log(`Built embeddings for ${embeddings.length} KB entries using ${remote.name}`);
+        return { embeddings, backend: remote };
+      } catch (err) {
+        console.warn('Failed to build remote KB embeddings:', err.message || err);
+      }
+    }
+  }
+
+  if (EMBEDDINGS_BACKEND !== 'remote') {
+    const local = createTfidfEmbeddingBackend(inputs);
+    const embeddings = await embedInBatches(local, inputs);
+    console.log(`Built embeddings for ${embeddings.length} KB entries using ${local.name}`);
+    return { embeddings, backend: local };
+  }
+
+  console.warn('KB embeddings unavailable; hybrid search will use keyword-only mode.');
+  return none;
+}
+
+// ----- KB KEYWORD SCORING (BM25) -----
+// Inverted index over the KB with BM25F scoring: per-field term frequencies are
+// length-normalized, weighted by BM25_FIELD_BOOSTS and combined before
+// saturation. Built once per KB load.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const BM25_FIELD_BOOSTS = {
+  question: 3,
+  keywords: 2.5,
+  title: 2,
+  description: 1,
+  answer: 1,
+  ...(process.env.BM25_FIELD_BOOSTS ? JSON.parse(process.env.BM25_FIELD_BOOSTS) : {})
+};
+const BM25_MAX_PREFIX_EXPANSIONS = 30;
+
+function entryFieldText(entry, field) {
+  const value = entry[field];
+  if (Array.isArray(value)) return value.join(' ');
+  return value ? String(value) : '';
+}
+
+function buildBm25Index(entries, boosts = BM25_FIELD_BOOSTS) {
+  const fields = Object.keys(boosts).filter(f => boosts[f] > 0);
+  const postings = new Map(); // term -> Map(docIndex -> { field: tf })
+  const surfaceForms = new Map(); // unstemmed word -> term (for prefix search)
+  const fieldLengths = entries.map(() => ({}));
+  const totalLengths = Object.fromEntries(fields.map(f => [f, 0]));
+
+  entries.forEach((entry, doc) => {
+    for (const field of fields) {
+      const words = tokenizeWords(entryFieldText(entry, field));
+      fieldLengths[doc][field] = words.length;
+      totalLengths[field] += words.length;
+
+      for (const word of words) {
+        const term = stemTerm(word);
+        surfaceForms.set(word, term);
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        if (!docs.has(doc)) docs.set(doc, {});
+        const tf = docs.get(doc);
+        tf[field] = (tf[field] || 0) + 1;
+      }
+    }
+  });
+
+  const n = entries.length;
+  const avgLengths = Object.fromEntries(fields.map(f => [f, totalLengths[f] / (n || 1) || 1]));
+
+  // Terms missing from the KB get the highest possible idf
+  function termIdf(term) {
+    const df = postings.has(term) ? postings.get(term).size : 0;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  function termScores(term, scores) {
+    const docs = postings.get(term);
+    if (!docs) return;
+    const idf = termIdf(term);
+
+    for (const [doc, tf] of docs) {
+      let weightedTf = 0;
+      for (const field in tf) {
+        const norm = 1 - BM25_B + (BM25_B * fieldLengths[doc][field]) / avgLengths[field];
+        weightedTf += (boosts[field] * tf[field]) / norm;
+      }
+      scores[doc] = Math.max(scores[doc] || 0, (idf * weightedTf) / (BM25_K1 + weightedTf));
+    }
+  }
+
+  // prefixLastTerm: treat the final word as a partial word typed so far and
+  // expand it to indexed words starting with it (used by /suggest)
+  function score(query, { prefixLastTerm = false } = {}) {
+    const totals = new Float64Array(n);
+    const words = tokenizeWords(query);
+    const partial = prefixLastTerm ? words.pop() : null;
+
+    for (const term of new Set(words.map(stemTerm))) {
+      const scores = {};
+      termScores(term, scores);
+      for (const doc in scores) totals[doc] += scores[doc];
+    }
+
+    if (partial) {
+      // One slot for all expansions: each doc keeps its best-matching expansion
+      const expansions = new Set();
+      for (const [word, term] of surfaceForms) {
+        if (word.startsWith(partial)) expansions.add(term);
+        if (expansions.size >= BM25_MAX_PREFIX_EXPANSIONS) break;
+      }
+      const scores = {};
+      for (const term of expansions) termScores(term, scores);
+      for (const doc in scores) totals[doc] += scores[doc];
+    }
+
+    return totals;
+  }
+
+  return { score, idf: termIdf, size: n, terms: postings.size };
+}
+
+let kbSearchIndex = buildBm25Index([]);
+
+function keywordScoreAll(query) {
+  const q = query.toLowerCase().trim();
+  if (!q) return [];
+
+  const scores = kbSearchIndex.score(q);
+  return (knowledgeBase.qaDatabase || []).map((qa, idx) => ({ ...qa, score: scores[idx] || 0, index: idx }));
+}
+
+// ----- KB VALIDATION -----
+// Entries are checked against kb-schema.json on load (see kb-validate.js).
+// KB_VALIDATION: strict (refuse to start on schema errors) | degraded (drop
+// invalid entries and serve the rest) | off. `npm run lint:kb` prints the full report.
+
+const KB_FILE = './knowledge-base.json';
+const KB_VALIDATION = process.env.KB_VALIDATION || 'degraded';
+
+let kbValidation = { mode: KB_VALIDATION, status: 'unchecked', errors: 0, warnings: 0, dropped: 0 };
+
+function parseKnowledgeBase(raw) {
+  const kb = JSON.parse(raw);
+  if (KB_VALIDATION === 'off') {
+    return { kb, validation: { ...kbValidation, status: 'off' } };
+  }
+
+  const report = validateKnowledgeBase(kb);
+  const summary = `${report.errors.length} errors, ${report.warnings.length} warnings`;
+
+  if (report.fatal || (report.errors.length && KB_VALIDATION === 'strict')) {
+    const sample = report.errors
+      .slice(0, 5)
+      .map(e => `${e.index >= 0 ? `#${e.index}` : 'kb'}${e.id ? ` (${e.id})` : ''} ${e.message}`)
+      .join('; ');
+    throw new Error(`Knowledge base failed validation (${summary}): ${sample}`);
+  }
+
+  if (report.errors.length || report.warnings.length) {
+    console.warn(`KB validation: ${summary}; run "npm run lint:kb" for details`);
+  }
+
+  const qaDatabase = kb.qaDatabase.filter((_, idx) => !report.invalidIndexes.has(idx));
+  return {
+    kb: { ...kb, qaDatabase },
+    validation: {
+      mode: KB_VALIDATION,
+      status: report.errors.length ? 'degraded' : 'ok',
+      errors: report.errors.length,
+      warnings: report.warnings.length,
+      dropped: kb.qaDatabase.length - qaDatabase.length
+    }
+  };
+}
+
+// ----- KB LOAD + BEHAVIOR RULES EXTRACTION -----
+// Behavior entries are parsed once per load into rules; selectBehaviorRules
+// then picks the ones relevant to each request (see SECTION 2B).
+
+function buildBehaviorRules(kb) {
+  if (!kb || !kb.qaDatabase) return [];
+  // The KB repeats some rules under the same id (lint: duplicate-id); keep the first
+  const seen = new Set();
+  return kb.qaDatabase
+    .filter(entry => {
+      if (!entry.behavior) return false;
+      const text = entry.behavior.trim();
+      if (seen.has(entry.id) || seen.has(text)) return false;
+      seen.add(entry.id);
+      seen.add(text);
+      return true;
+    })
+    .map(entry => {
+      const text = entry.behavior.trim();
+      return {
+        id: entry.id,
+        category: entry.category || '',
+        text,
+        tokens: estimateTokens(text),
+        keywordTerms: (entry.keywords || []).map(k => analyzeText(k)).filter(terms => terms.length),
+        categoryTerms: analyzeText(entry.category || '')
+      };
+    });
+}
+
+// Short content hash of the served KB; changes on every successful (re)load
+let kbVersion = null;
+
+// Parses, validates, indexes and embeds a KB file into a complete state object.
+// Nothing live is touched until applyKnowledgeBaseState.
+async function prepareKnowledgeBaseState(raw) {
+  const { kb, validation } = parseKnowledgeBase(raw);
+  if (validation.dropped) {
+    console.warn(`Degraded mode: ${validation.dropped} invalid KB entries are not served`);
+  }
+
+  const searchIndex = buildBm25Index(kb.qaDatabase);
+  console.log(`Built BM25 index: ${searchIndex.terms} terms over ${searchIndex.size} entries`);
+  const { embeddings, backend } = await buildKnowledgeBaseEmbeddings(kb.qaDatabase);
+
+  return {
+    kb,
+    validation,
+    searchIndex,
+    embeddings,
+    embeddingBackend: backend,
+    behaviorRules: buildBehaviorRules(kb),
+    version: crypto.createHash('sha256').update(raw).digest('hex').slice(0, 12)
+  };
+}
+
+// Synchronous swap: a request never observes a mix of old and new state
+function applyKnowledgeBaseState(state) {
+  knowledgeBase = state.kb;
+  kbValidation = state.validation;
+  kbSearchIndex = state.searchIndex;
+  kbEmbeddings = state.embeddings;
+  embeddingBackend = state.embeddingBackend;
+  EMBEDDINGS_ENABLED = state.embeddings.length > 0;
+  global.KB_BEHAVIOR_RULES = state.behaviorRules;
+  kbVersion = state.version;
+}
+
+try {
+  const state = await prepareKnowledgeBaseState(await fs.readFile(KB_FILE, 'utf8'));
+  applyKnowledgeBaseState(state);
+  console.log(`Loaded ${knowledgeBase.qaDatabase.length} Q&A entries from knowledge-base.json`);
+} catch (err) {
+  if (KB_VALIDATION === 'strict') {
+    console.error('Refusing to start:', err.message);
+    process.exit(1);
+  }
+  kbValidation = { ...kbValidation, status: 'failed' };
+  console.error('Failed to load knowledge base:', err);
+}
+
+// ----- KB HOT RELOAD -----
+// reloadKnowledgeBase() re-reads the file and swaps it in only if it parses and
+// validates; otherwise the previous KB keeps serving and the error is recorded.
+// Set KB_WATCH=1 to reload automatically when the file changes on disk.
+
+let kbReloadStatus = { lastAttemptAt: null, lastSuccessAt: null, lastError: null };
+let kbReloadChain = Promise.resolve();
+
+function reloadKnowledgeBase(reason = 'manual') {
+  // Serialize reloads so two quick edits can't interleave their builds
+  const run = kbReloadChain.then(async () => {
+    kbReloadStatus = { ...kbReloadStatus, lastAttemptAt: new Date().toISOString() };
+    try {
+      const state = await prepareKnowledgeBaseState(await fs.readFile(KB_FILE, 'utf8'));
+      const previousVersion = kbVersion;
+      applyKnowledgeBaseState(state);
+      // Cached answers were grounded in the previous KB
+      if (responseCache) responseCache.clear();
+      kbReloadStatus = { ...kbReloadStatus, lastSuccessAt: new Date().toISOString(), lastError: null };
+      console.log(
+        `Reloaded knowledge base (${reason}): ${state.kb.qaDatabase.length} entries, version ${previousVersion} -> ${state.version}`
+      );
+      return { ok: true, version: state.version, entries: state.kb.qaDatabase.length, validation: state.validation };
+    } catch (err) {
+      kbReloadStatus = { ...kbReloadStatus, lastError: err.message || String(err) };
+      console.error(`Knowledge base reload failed (${reason}); keeping version ${kbVersion}:`, err.message || err);
+      return { ok: false, version: kbVersion, error: kbReloadStatus.lastError };
+    }
+  });
+  kbReloadChain = run;
+  return run;
+}
+
+if (/^(1|true)$/i.test(process.env.KB_WATCH || '')) {
+  // Watch the directory: editors often replace the file, which ends a file watch
+  const kbPath = path.resolve(KB_FILE);
+  let reloadTimer = null;
+  watch(path.dirname(kbPath), (event, filename) => {
+    if (filename !== path.basename(kbPath)) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => reloadKnowledgeBase('file change'), 500);
+  }).unref();
+  console.log(`Watching ${KB_FILE} for changes`);
+}
+
+// ----- KB HYBRID SEARCH (KEYWORD + EMBEDDINGS) -----
+
+async function hybridSearchKnowledgeBase(query, limit = 5) {
+  const q = query.toLowerCase().trim();
+  if (!q || !knowledgeBase.qaDatabase || knowledgeBase.qaDatabase.length === 0) return [];
+
+  // Pin the KB state: a hot reload may swap it while the query embedding is awaited
+  const entryCount = knowledgeBase.qaDatabase.length;
+  const embeddings = kbEmbeddings;
+  const backend = embeddingBackend;
+
+  const keywordScoredFull = keywordScoreAll(q);
+  const maxKeywordScore = keywordScoredFull.reduce(
+    (max, item) => Math.max(max, item.score),
+    0
+  );
+
+  // If embeddings are not enabled, just do keyword
+  if (!EMBEDDINGS_ENABLED || !backend || embeddings.length === 0) {
+    return keywordScoredFull
+      .filter(item => item.score > 0 && entryAnswer(item))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  let queryEmbedding = null;
+  try {
+    const [vector] = await backend.embed([query]);
+    if (vector) queryEmbedding = vector;
+  } catch (err) {
+    console.warn(
+      'Error creating query embedding; falling back to keyword-only for this query:',
+      err.message || err
+    );
+  }
+
+  if (!queryEmbedding) {
+    return keywordScoredFull
+      .filter(item => item.score > 0 && entryAnswer(item))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  const embeddingScores = new Map();
+  embeddings.forEach(item => {
+    const sim = cosineSimilarity(queryEmbedding, item.embedding);
+    if (sim > 0) embeddingScores.set(item.index, sim);
+  });
+
+  const combined = [];
+  const keywordWeight = 0.35;
+  const embedWeight = 0.65;
+
+  for (let idx = 0; idx < entryCount; idx++) {
+    const kwItem = keywordScoredFull[idx];
+    const kwScore = kwItem.score;
+    const kwNorm = maxKeywordScore > 0 ? kwScore / maxKeywordScore : 0;
+    const embSim = embeddingScores.get(idx) || 0;
+    const combinedScore = keywordWeight * kwNorm + embedWeight * embSim;
+
+    if (combinedScore > 0 && entryAnswer(kwItem)) {
+      combined.push({
+        ...kwItem,
+        score: combinedScore
+      });
+    }
+  }
+
+  combined.sort((a, b) => b.score - a.score);
+  return combined.slice(0, limit);
+}
+
+// ----- PER-PART RETRIEVAL (MULTI-PART QUESTIONS) -----
+
+// One small context slot per sub-question. An entry already placed in an
+// earlier slot is skipped so each part is grounded in material of its own.
+async function retrieveSubQuestionSlots(questions, { perPart = 2, minScore = 0 } = {}) {
+  const used = new Set();
+  const slots = [];
+  for (const question of questions) {
+    const hits = await hybridSearchKnowledgeBase(question, perPart + 3);
+    const entries = hits.filter(qa => qa.score >= minScore && !used.has(qa.index)).slice(0, perPart);
+    entries.forEach(qa => used.add(qa.index));
+    slots.push({ question, entries });
+  }
+  return slots;
+}
+
+// ======================================================================
+// SECTION 2A: CONVERSATION SESSIONS
+// ======================================================================
+
+// Optional server-side history keyed by a client-supplied conversationId.
+// A session store is any object exposing async get(id) -> turns[],
+// append(id, turns), getMeta(id) -> {}, setMeta(id, patch) and delete(id).
+// Turns are { role, content } pairs; meta holds per-conversation settings
+// such as the user's role.
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 30 * 60 * 1000;
+const SESSION_MAX_TURNS = Number(process.env.SESSION_MAX_TURNS) || 12;
+const SESSION_MAX_CONVERSATIONS = Number(process.env.SESSION_MAX_CONVERSATIONS) || 1000;
+const SESSION_HISTORY_CHAR_BUDGET = Number(process.env.SESSION_HISTORY_CHAR_BUDGET) || 4000;
+
+// ----- IN-MEMORY SESSION STORE (DEFAULT) -----
+
+function createMemorySessionStore({ ttlMs, maxTurns, maxConversations }) {
+  const sessions = new Map(); // id -> { turns, meta, expiresAt }, oldest first
+
+  function evict(now) {
+    for (const [id, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(id);
+    }
+    while (sessions.size > maxConversations) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  function live(id, now = Date.now()) {
+    const session = sessions.get(id);
+    if (session && session.expiresAt <= now) {
+      sessions.delete(id);
+      return null;
+    }
+    return session || null;
+  }
+
+  // Re-insert so the Map stays ordered by last activity
+  function touch(id, session, now) {
+    sessions.delete(id);
+    sessions.set(id, { ...session, expiresAt: now + ttlMs });
+    if (sessions.size > maxConversations) evict(now);
+  }
+
+  return {
+    async get(id) {
+      const session = live(id);
+      return session ? session.turns.slice() : [];
+    },
+
+    async append(id, turns) {
+      const now = Date.now();
+      const existing = live(id, now) || { turns: [], meta: {} };
+      touch(id, { ...existing, turns: [...existing.turns, ...turns].slice(-maxTurns) }, now);
+    },
+
+    async getMeta(id) {
+      const session = live(id);
+      return session ? { ...session.meta } : {};
+    },
+
+    async setMeta(id, patch) {
+      const now = Date.now();
+      const existing = live(id, now) || { turns: [], meta: {} };
+      touch(id, { ...existing, meta: { ...existing.meta, ...patch } }, now);
+    },
+
+    async delete(id) {
+      sessions.delete(id);
+    }
+  };
+}
+
+function createSessionStore(kind) {
+  switch (kind) {
+    case 'memory':
+      return createMemorySessionStore({
+        ttlMs: SESSION_TTL_MS,
+        maxTurns: SESSION_MAX_TURNS,
+        maxConversations: SESSION_MAX_CONVERSATIONS
+      });
+    default:
+      throw new Error(`Unknown SESSION_STORE "${kind}"`);
+  }
+}
+
+const sessionStore = createSessionStore(process.env.SESSION_STORE || 'memory');
+
+// ----- SESSION HELPERS -----
+
+function normalizeConversationId(raw) {
+  if (typeof raw !== 'string') return null;
+  const id = raw.trim();
+  return /^[\w-]{1,128}$/.test(id) ? id : null;
+}
+
+// Most recent turns that fit the char budget, oldest first, as chat messages
+function buildHistoryMessages(turns, charBudget = SESSION_HISTORY_CHAR_BUDGET) {
+  const out = [];
+  let used = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const { role, content } = turns[i];
+    if (!content) continue;
+    if (used + content.length > charBudget) break;
+    used += content.length;
+    out.unshift({ role, content });
+  }
+  return out;
+}
+
+// ======================================================================
+// SECTION 2B: BEHAVIOR RULE SELECTION
+// ======================================================================
+
+// Instead of concatenating every KB behavior rule, each request gets the rules
+// whose keywords / category match the query and resolved intent, ranked and
+// packed (whole rules only) into BEHAVIOR_RULES_TOKEN_BUDGET.
+
+const BEHAVIOR_RULES_TOKEN_BUDGET = Number(process.env.BEHAVIOR_RULES_TOKEN_BUDGET) || 300;
+
+// Category weights by resolved intent; "always" applies to every request
+const BEHAVIOR_CATEGORY_WEIGHTS = {
+  always: { 'System Rules': 1.5, Guardrails: 1.5, 'Tone Rules': 1 },
+  kyle: { 'Synthesis Rules': 0.5, 'Core Narrative': 0.5, 'Operational Philosophy': 0.25 },
+  mixed: { 'Synthesis Rules': 0.5, 'Core Narrative': 0.25 },
+  technical: { 'Domain Knowledge': 0.5, 'Technical Experience': 0.5 },
+  star: { 'STAR Stories': 1.5, Behavioral: 1 }
+};
+
+// Rough token estimate used for prompt budgeting (~4 chars per token)
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function scoreBehaviorRule(rule, queryTerms, { intent, isSTAR }) {
+  let score = 0;
+
+  // Multi-word keywords must match entirely and count for more
+  for (const terms of rule.keywordTerms) {
+    if (terms.every(t => queryTerms.has(t))) score += 2 + terms.length - 1;
+  }
+
+  if (rule.categoryTerms.length && rule.categoryTerms.every(t => queryTerms.has(t))) score += 1;
+
+  score += BEHAVIOR_CATEGORY_WEIGHTS.always[rule.category] || 0;
+  score += (BEHAVIOR_CATEGORY_WEIGHTS[intent] || {})[rule.category] || 0;
+  if (isSTAR) score += BEHAVIOR_CATEGORY_WEIGHTS.star[rule.category] || 0;
+
+  return score;
+}
+
+function selectBehaviorRules(query, { intent, isSTAR = false, budget = BEHAVIOR_RULES_TOKEN_BUDGET } = {}) {
+  const rules = global.KB_BEHAVIOR_RULES || [];
+  const queryTerms = new Set(analyzeText(query));
+
+  const ranked = rules
+    .map(rule => ({ rule, score: scoreBehaviorRule(rule, queryTerms, { intent, isSTAR }) }))
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score || a.rule.tokens - b.rule.tokens);
+
+  const selected = [];
+  let used = 0;
+  for (const item of ranked) {
+    if (used + item.rule.tokens > budget) continue;
+    selected.push(item);
+    used += item.rule.tokens;
+  }
+
+  return {
+    text: selected.map(({ rule }) => `- ${rule.text}`).join('\n'),
+    applied: selected.map(({ rule, score }) => ({
+      id: rule.id,
+      category: rule.category,
+      score: Number(score.toFixed(2))
+    })),
+    tokens: used
+  };
+}
+
+// ======================================================================
+// SECTION 2C: GROUNDING VERIFIER
+// ======================================================================
+
+// Kyle-mode answers are checked after generation. Factual claims (numbers,
+// durations, employers, tools) must appear in the KB entries sent as context
+// or in the background summary. Employers and tools may also be backed by any
+// KB entry, since they are facts about Kyle rather than about one story; an
+// employer only counts when the KB names it the same way ("at Waymo"), so
+// "Google Data Analytics Certificate" does not back "worked at Google".
+// Employers are only read after "at" / "joined": "with", "for", "by" and
+// "from" are followed by tools and teams far more often ("with Python", "for
+// Operations") than by companies.
+
+// off | flag (report only) | soften (drop unsupported sentences) | regenerate
+const GROUNDING_MODE = process.env.GROUNDING_MODE || 'soften';
+
+const KYLE_BACKGROUND_SUMMARY = `Kyle’s experience spans:
+- autonomous systems validation and field operations,
+- perception behavior analysis and scenario testing,
+- structured testing programs and large scale training data efforts,
+- SaaS customer success, technical onboarding, and enterprise client workflows,
+- applied AI tools, scripting, and automation using Node.js, APIs, and related technologies.`;
+
+// Technical questions have no KB answer to fall back on
+const LLM_BUSY_ANSWER =
+  'Agent K is handling a lot of questions right now and cannot work through this one in full. Please try again in a minute, or ask about Kyle’s background in the meantime.';
+
+// Used when the model returns nothing, or when grounding removes every sentence
+const KYLE_FALLBACK_ANSWER =
+  "Kyle’s background spans autonomous systems validation, field operations, perception behavior analysis, scenario testing, and large-scale training data programs. He has led structured test plans, investigations into critical safety issues, and delivery of datasets that improved perception performance and expanded operating domains. He has also worked in SaaS customer success and technical onboarding, translating complex systems into workflows for enterprise clients, and he has built applied AI tools with Node.js, Express, APIs, and automation. When someone asks about his experience, the answer integrates these threads to show how he bridges engineering detail with reliable execution.";
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const DURATION_PATTERN = new RegExp(
+  `\\b(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})\\+?(?:\\s|-)(years?|months?|weeks?|quarters?)\\b`,
+  'gi'
+);
+
+// "$3M", "40%", "2,000+", "10x", "65K"; digits glued to letters (S3, GPT-4) are skipped
+const NUMBER_PATTERN =
+  /(?<![\w.])(?:\$\s?)?\d[\d,]*(?:\.\d+)?(?:\s?(?:%|percent\b|x\b|[kmb]\b|million\b|billion\b)|\+)?/gi;
+
+const EMPLOYER_PATTERN = /\b(?:[Aa]t|[Jj]oined)\s+([A-Z][a-z][\w&-]*(?:\s+[A-Z][a-z][\w&-]*)*)/g;
+
+const NON_EMPLOYER_NAMES = new Set([
+  'kyle', 'agent', 'situation', 'task', 'action', 'result', 'example', 'instance',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'
+]);
+
+// Only distinctive names; words like "react", "excel" or "spark" read as verbs
+const GROUNDING_TOOL_TERMS = [
+  'python', 'javascript', 'typescript', 'node.js', 'sql', 'aws', 'gcp', 'azure',
+  'docker', 'kubernetes', 'tensorflow', 'pytorch', 'salesforce', 'jira', 'tableau',
+  'zendesk', 'hubspot', 'matlab', 'airflow', 'snowflake', 'looker', 'gainsight',
+  'intercom', 'figma', 'langchain', 'mongodb', 'postgres', 'postgresql', 'redis',
+  'golang', 'c++', 'bigquery', 'power bi', 'selenium', 'jenkins', 'terraform',
+  'kafka', 'ros', 'openai', 'groq'
+];
+
+const TOOL_PATTERN = new RegExp(
+  `(?<![\\w.+])(${GROUNDING_TOOL_TERMS.map(t => t.replace(/[.+]/g, '\\$&')).join('|')})(?![\\w+])`,
+  'gi'
+);
+
+// ----- CLAIM EXTRACTION -----
+
+// Both the literal value and the scaled one, so "$3M" matches "3 million" and "3,000,000"
+function numberKeys(text) {
+  const match = text.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  if (!match) return [];
+  const base = Number(match[0]);
+  const suffix = text.toLowerCase().replace(/^[^\d]*[\d,.]+\s?/, '');
+  const scale = /^(k)\b/.test(suffix) ? 1e3 : /^(m|million)\b/.test(suffix) ? 1e6 : /^(b|billion)\b/.test(suffix) ? 1e9 : 1;
+  return [String(base), String(base * scale)];
+}
+
+function durationKey(value, unit) {
+  const n = NUMBER_WORDS[value.toLowerCase()] || Number(value);
+  return `${n}:${unit.toLowerCase().replace(/s$/, '')}`;
+}
+
+function employerNames(text) {
+  const names = [];
+  for (const match of String(text || '').matchAll(EMPLOYER_PATTERN)) {
+    const name = match[1].replace(/[.-]+$/, '');
+    const first = name.split(/\s+/)[0].toLowerCase();
+    // Tool names are checked as tool claims instead ("at Python scale")
+    if (!NON_EMPLOYER_NAMES.has(first) && !GROUNDING_TOOL_TERMS.includes(first)) names.push(name);
+  }
+  return names;
+}
+
+function extractClaims(sentence) {
+  const claims = [];
+  // List markers ("1.", "*") are formatting, not claims
+  let rest = sentence.replace(/^\s*(?:[*-]|\d+[.)])\s+/, '');
+
+  rest = rest.replace(DURATION_PATTERN, (text, value, unit) => {
+    claims.push({ type: 'duration', text, keys: [durationKey(value, unit)] });
+    return ' ';
+  });
+
+  for (const match of rest.matchAll(NUMBER_PATTERN)) {
+    const text = match[0].trim().replace(/,+$/, '');
+    const keys = numberKeys(text);
+    const hasUnit = text.startsWith('$') || /[%x+kmb]$|percent|million|billion/i.test(text);
+    // Bare small numbers ("two teams", "3 steps") are too generic to verify
+    if (!keys.length || (!hasUnit && Number(keys[0]) < 10)) continue;
+    claims.push({ type: 'number', text, keys });
+  }
+
+  for (const name of employerNames(rest)) {
+    claims.push({ type: 'employer', text: name, keys: [name.toLowerCase()] });
+  }
+
+  for (const match of rest.matchAll(TOOL_PATTERN)) {
+    claims.push({ type: 'tool', text: match[1], keys: [match[1].toLowerCase()] });
+  }
+
+  return claims;
+}
+
+// ----- EVIDENCE -----
+
+function buildGroundingEvidence(text) {
+  const lower = String(text || '').toLowerCase();
+  const durations = new Set();
+  const withoutDurations = lower.replace(DURATION_PATTERN, (m, value, unit) => {
+    durations.add(durationKey(value, unit));
+    return ' ';
+  });
+  const numbers = new Set();
+  for (const match of withoutDurations.matchAll(NUMBER_PATTERN)) {
+    numberKeys(match[0].trim()).forEach(k => numbers.add(k));
+  }
+  // Durations count as plain numbers too ("5 years" backs "5+ years of experience")
+  for (const key of durations) numbers.add(key.split(':')[0]);
+  const employers = new Set(employerNames(text).map(name => name.toLowerCase()));
+  return { text: lower, numbers, durations, employers };
+}
+
+// Whole-KB evidence for employers / tools, rebuilt when the KB is swapped
+let kbGroundingCorpus = { kb: null, evidence: null };
+
+function getKbGroundingEvidence() {
+  if (kbGroundingCorpus.kb !== knowledgeBase) {
+    const text = (knowledgeBase.qaDatabase || [])
+      .map(qa => [entryQuestion(qa), entryAnswer(qa), qa.category].filter(Boolean).join('\n'))
+      .join('\n');
+    kbGroundingCorpus = { kb: knowledgeBase, evidence: buildGroundingEvidence(text) };
+  }
+  return kbGroundingCorpus.evidence;
+}
+
+// Whole words only: "ros" is not in "across", "aws" not in "laws", "meta" not in "metadata"
+function mentionsTerm(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\w.+])${escaped}(?![\\w+])`).test(text);
+}
+
+function isClaimSupported(claim, context, kb) {
+  switch (claim.type) {
+    case 'number':
+      return claim.keys.some(k => context.numbers.has(k));
+    case 'duration':
+      return claim.keys.some(k => context.durations.has(k));
+    case 'employer':
+      return claim.keys.some(k => mentionsTerm(context.text, k) || kb.employers.has(k));
+    default:
+      return claim.keys.some(k => mentionsTerm(context.text, k) || mentionsTerm(kb.text, k));
+  }
+}
+
+// ----- VERIFY + SOFTEN -----
+
+function splitSentences(line) {
+  return line.split(/(?<=[.!?])\s+(?=["'(*A-Z0-9])/);
+}
+
+// Returns every extracted claim with its support status, grouped by line / sentence
+function verifyGrounding(answer, contextEntries) {
+  const context = buildGroundingEvidence(
+    [KYLE_BACKGROUND_SUMMARY, ...contextEntries.map(qa => `${entryQuestion(qa)}\n${entryAnswer(qa)}`)].join('\n')
+  );
+  const kb = getKbGroundingEvidence();
+
+  const lines = String(answer || '').split('\n').map(line =>
+    splitSentences(line).map(sentence => ({
+      text: sentence,
+      claims: extractClaims(sentence).map(claim => ({
+        ...claim,
+        supported: isClaimSupported(claim, context, kb)
+      }))
+    }))
+  );
+
+  const claims = lines.flat().flatMap(s => s.claims);
+  return {
+    lines,
+    claims,
+    unsupported: claims.filter(c => !c.supported).map(({ type, text }) => ({ type, text }))
+  };
+}
+
+// Unsupported durations become "several <unit>s"; any other unsupported claim
+// removes its sentence. Returns the rewritten answer and how many sentences went.
+function softenUnsupportedClaims(report) {
+  let removed = 0;
+
+  const lines = report.lines.map(sentences => {
+    const kept = [];
+    for (const sentence of sentences) {
+      const bad = sentence.claims.filter(c => !c.supported);
+      if (!bad.length) {
+        kept.push(sentence.text);
+      } else if (bad.every(c => c.type === 'duration')) {
+        kept.push(
+          sentence.text.replace(DURATION_PATTERN, (text, value, unit) =>
+            bad.some(c => c.text === text) ? `several ${unit.replace(/s?$/, 's')}` : text
+          )
+        );
+      } else {
+        removed++;
+      }
     }
-  } catch (err) {
-    console.warn(
-      'Error creating query embedding; falling back to keyword-only for this query:',
-      err.message || err
-    );
+    // A list marker or label left without its content is dropped with it
+    const line = kept.join(' ');
+    return sentences.length && line.trim() === '' && sentences.some(s => s.text.trim()) ? null : line;
+  });
+
+  const text = lines
+    .filter(line => line !== null)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { text, removed };
+}
+
+// ======================================================================
+// SECTION 2D: STRUCTURED STAR ANSWERS
+// ======================================================================
+
+// With { starFormat: "json" }, STAR questions come back as separate situation /
+// task / action / result fields plus the KB story they are based on, so the
+// front end no longer parses labeled free text. The model is asked for JSON;
+// labeled text is accepted too, and the model is re-prompted while any part
+// is missing or empty.
+
+const STAR_PARTS = ['situation', 'task', 'action', 'result'];
+const STAR_FORMATS = ['text', 'json'];
+const STAR_MAX_ATTEMPTS = Number(process.env.STAR_MAX_ATTEMPTS) || 3;
+
+const STAR_LABEL_PATTERN = new RegExp(
+  `(?:^|\\n)[ \\t]*[*#_]*[ \\t]*(${STAR_PARTS.join('|')})[ \\t]*[*_]*[ \\t]*[:\\-–][*_]*`,
+  'gi'
+);
+
+function emptyStar() {
+  return Object.fromEntries(STAR_PARTS.map(part => [part, '']));
+}
+
+// KB entries that tell a story: STAR categories, "a time Kyle..." prompts,
+// or answers already split into the four labeled sections
+function isStarEntry(qa) {
+  return (
+    /\bstar\b/i.test(qa.category || '') ||
+    /\b(a time|an example of)\b/i.test(entryQuestion(qa)) ||
+    missingStarParts(parseLabeledStar(entryAnswer(qa))).length === 0
+  );
+}
+
+// "Situation: ...\n\nTask: ..." (optionally bold / heading markup) -> fields
+function parseLabeledStar(text) {
+  const star = emptyStar();
+  const source = String(text || '');
+  const labels = [...source.matchAll(STAR_LABEL_PATTERN)];
+
+  labels.forEach((match, i) => {
+    const part = match[1].toLowerCase();
+    const end = i + 1 < labels.length ? labels[i + 1].index : source.length;
+    if (!star[part]) star[part] = source.slice(match.index + match[0].length, end).trim();
+  });
+  return star;
+}
+
+// First {...} object in the reply (models wrap JSON in prose or code fences)
+function parseStarJson(text) {
+  const source = String(text || '');
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+  if (start < 0 || end <= start) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(source.slice(start, end + 1));
+  } catch {
+    return null;
   }
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  const star = emptyStar();
+  for (const [key, value] of Object.entries(parsed)) {
+    const part = key.toLowerCase();
+    if (!STAR_PARTS.includes(part)) continue;
+    if (typeof value === 'string') star[part] = value.trim();
+    else if (Array.isArray(value)) star[part] = value.filter(v => typeof v === 'string').join(' ').trim();
+  }
+  return star;
+}
 
-  if (!queryEmbedding) {
-    return keywordScoredFull
-      .filter(item => item.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, limit);
+function parseStarAnswer(text) {
+  return parseStarJson(text) || parseLabeledStar(text);
+}
+
+function missingStarParts(star) {
+  return STAR_PARTS.filter(part => !star || !String(star[part] || '').trim());
+}
+
+function renderStarText(star) {
+  return STAR_PARTS.map(part => `${part[0].toUpperCase()}${part.slice(1)}: ${star[part]}`).join('\n\n');
+}
+
+function buildStarJsonInstructions(missing = []) {
+  const retry = missing.length
+    ? `\nYour previous reply was missing or left empty: ${missing.join(', ')}. Every field must contain at least one full sentence.\n`
+    : '';
+  return `
+OUTPUT FORMAT (STRUCTURED STAR):
+Reply with ONLY a JSON object, no prose or code fences, in exactly this shape:
+{"situation": "...", "task": "...", "action": "...", "result": "..."}
+Each value is plain text in third person about Kyle. Base the story on the STAR example in RELEVANT BACKGROUND when there is one.
+${retry}`;
+}
+
+// complete(userMessage) -> raw model text. Re-prompts (up to STAR_MAX_ATTEMPTS
+// calls) naming the parts still missing; keeps the most complete reply. Stops
+// at the first call shed by the LLM budget and returns that error as shed.
+async function generateStructuredStar(complete, userMessage) {
+  let best = { star: null, raw: '' };
+  let missing = STAR_PARTS;
+  let attempts = 0;
+  let shed = null;
+
+  for (let attempt = 1; attempt <= STAR_MAX_ATTEMPTS && missing.length; attempt++) {
+    let raw;
+    try {
+      raw = await complete(`${userMessage}\n${buildStarJsonInstructions(attempt > 1 ? missing : [])}`);
+    } catch (err) {
+      if (!isLLMBudgetError(err)) throw err;
+      shed = err;
+      break;
+    }
+    attempts = attempt;
+    const star = parseStarAnswer(raw);
+    const stillMissing = missingStarParts(star);
+    if (attempt === 1 || stillMissing.length < missing.length) {
+      best = { star, raw };
+      missing = stillMissing;
+    }
   }
 
-  const embeddingScores = new Map();
-  kbEmbeddings.forEach(item => {
-    const sim = cosineSimilarity(queryEmbedding, item.embedding);
-    if (sim > 0) embeddingScores.set(item.index, sim);
+  return { star: best.star, raw: best.raw, missing, attempts, shed };
+}
+
+// Grounding (SECTION 2C) per part. Regeneration is not repeated here; a part
+// that softening would empty is kept and flagged instead.
+function groundStarAnswer(star, contextEntries) {
+  const grounded = { ...star };
+  const grounding = { mode: GROUNDING_MODE, status: 'grounded', regenerated: false, claims: 0, unsupported: [] };
+
+  for (const part of STAR_PARTS) {
+    const report = verifyGrounding(star[part], contextEntries);
+    grounding.claims += report.claims.length;
+    if (!report.unsupported.length) continue;
+
+    grounding.unsupported.push(...report.unsupported.map(c => ({ ...c, part })));
+    if (GROUNDING_MODE === 'flag') {
+      grounding.status = 'flagged';
+      continue;
+    }
+
+    const softened = softenUnsupportedClaims(report);
+    if (softened.text) {
+      grounded[part] = softened.text;
+      grounding.removedSentences = (grounding.removedSentences || 0) + softened.removed;
+      if (grounding.status === 'grounded') grounding.status = 'softened';
+    } else {
+      grounding.status = 'flagged';
+    }
+  }
+
+  return { star: grounded, grounding };
+}
+
+// ======================================================================
+// SECTION 2E: RESPONSE CACHE
+// ======================================================================
+
+// Model answers for first-turn queries are cached, keyed on the normalized
+// query, the resolved intent and user role, and the KB version, so repeated
+// suggestion clicks do not each cost a completion. With
+// RESPONSE_CACHE_SIMILARITY set (e.g. 0.92), a query whose embedding is that
+// close to a cached one (same intent / role / KB version) reuses its answer.
+// A response cache is any object exposing get(key), findSimilar(partition,
+// vector, threshold, accept), miss(), set(key, entry), clear() and stats().
+
+const RESPONSE_CACHE_TTL_MS = Number(process.env.RESPONSE_CACHE_TTL_MS) || 60 * 60 * 1000;
+const RESPONSE_CACHE_MAX_ENTRIES = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500;
+const RESPONSE_CACHE_SIMILARITY = Number(process.env.RESPONSE_CACHE_SIMILARITY) || 0; // 0 = exact only
+
+// ----- IN-MEMORY LRU (DEFAULT) -----
+
+function createMemoryResponseCache({ ttlMs, maxEntries }) {
+  const entries = new Map(); // key -> { ...entry, createdAt, expiresAt }, least recently used first
+  const counters = { hits: 0, nearDuplicateHits: 0, misses: 0, evictions: 0 };
+
+  function live(key, now = Date.now()) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Re-insert so the Map stays ordered by last use
+  function use(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+
+  return {
+    get(key) {
+      const entry = live(key);
+      if (!entry) return null;
+      counters.hits++;
+      return use(key, entry);
+    },
+
+    findSimilar(partition, vector, threshold, accept = () => true) {
+      const now = Date.now();
+      let best = null;
+      for (const [key, entry] of entries) {
+        if (entry.partition !== partition || !entry.vector || !live(key, now) || !accept(entry)) continue;
+        const similarity = cosineSimilarity(vector, entry.vector);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) {
+          best = { key, entry, similarity };
+        }
+      }
+      if (!best) {
+        counters.misses++;
+        return null;
+      }
+      counters.nearDuplicateHits++;
+      return { ...use(best.key, best.entry), similarity: best.similarity };
+    },
+
+    miss() {
+      counters.misses++;
+    },
+
+    set(key, entry) {
+      const now = Date.now();
+      entries.delete(key);
+      entries.set(key, { ...entry, createdAt: now, expiresAt: now + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions++;
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.nearDuplicateHits + counters.misses;
+      return {
+        enabled: true,
+        size: entries.size,
+        ...counters,
+        hitRate: lookups ? Number(((counters.hits + counters.nearDuplicateHits) / lookups).toFixed(3)) : null
+      };
+    }
+  };
+}
+
+function createResponseCache(kind) {
+  switch (kind) {
+    case 'memory':
+      return createMemoryResponseCache({ ttlMs: RESPONSE_CACHE_TTL_MS, maxEntries: RESPONSE_CACHE_MAX_ENTRIES });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown RESPONSE_CACHE "${kind}"`);
+  }
+}
+
+const responseCache = createResponseCache(process.env.RESPONSE_CACHE || 'memory');
+
+// ----- KEYS + LOOKUP -----
+
+// Everything besides the query text that changes the answer
+function responseCachePartition({ intent, role, starFormat }) {
+  return [kbVersion, intent, role, starFormat].join('|');
+}
+
+// Letters and digits of any script; null when nothing is left to key on
+function responseCacheKey(partition, query) {
+  const normalized = normalizeQuery(query).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  return normalized ? `${partition}|${normalized}` : null;
+}
+
+// Local TF-IDF vectors ignore words outside the KB vocabulary, so two different
+// questions can embed identically; a near-duplicate must also share most terms
+function sharesMostTerms(a, b, minOverlap = 0.6) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const union = new Set([...setA, ...setB]).size;
+  if (!union) return false;
+  return [...setA].filter(t => setB.has(t)).length / union >= minOverlap;
+}
+
+// Exact key first, then (if enabled) the closest cached query by embedding.
+// Returns { entry, match: 'exact' | 'similar', similarity?, vector } or
+// { entry: null, vector }; the vector is kept so a miss can be stored with it.
+async function lookupResponseCache(partition, key, query) {
+  const exact = responseCache.get(key);
+  if (exact) return { entry: exact, match: 'exact' };
+
+  let vector = null;
+  const backend = embeddingBackend;
+  if (RESPONSE_CACHE_SIMILARITY > 0 && backend && EMBEDDINGS_ENABLED) {
+    try {
+      [vector] = await backend.embed([query]);
+    } catch (err) {
+      console.warn('Response cache: query embedding failed, exact match only:', err.message || err);
+    }
+  }
+
+  if (vector) {
+    const terms = analyzeText(query);
+    const similar = responseCache.findSimilar(
+      `${partition}|${backend.name}`,
+      vector,
+      RESPONSE_CACHE_SIMILARITY,
+      entry => sharesMostTerms(terms, entry.terms || [])
+    );
+    if (similar) return { entry: similar, match: 'similar', similarity: Number(similar.similarity.toFixed(3)) };
+  } else {
+    responseCache.miss();
+  }
+  return { entry: null, vector: vector ? { backend: backend.name, value: vector } : null };
+}
+
+function storeResponseCache(partition, key, query, vector, entry) {
+  responseCache.set(key, {
+    ...entry,
+    partition: vector ? `${partition}|${vector.backend}` : partition,
+    vector: vector ? vector.value : null,
+    terms: vector ? analyzeText(query) : null
   });
+}
 
-  const combined = [];
-  const keywordWeight = 0.35;
-  const embedWeight = 0.65;
+function responseCacheStats() {
+  return responseCache ? responseCache.stats() : { enabled: false };
+}
 
-  for (let idx = 0; idx < knowledgeBase.qaDatabase.length; idx++) {
-    const kwItem = keywordScoredFull[idx];
-    const kwScore = kwItem.score;
-    const kwNorm = maxKeywordScore > 0 ? kwScore / maxKeywordScore : 0;
-    const embSim = embeddingScores.get(idx) || 0;
-    const combinedScore = keywordWeight * kwNorm + embedWeight * embSim;
+// ======================================================================
+// SECTION 2F: QUERY EVENTS (CONVERSATION ANALYTICS)
+// ======================================================================
 
-    if (combinedScore > 0) {
-      combined.push({
-        ...kwItem,
-        score: combinedScore
+// One anonymized record per answered /query: the resolved intent, how it was
+// answered (route), the top KB score, whether the fallback or the
+// diversification retry ran, latency and errors. Records carry the visitor
+// token and PII-redacted query text only, and take part in retention and
+// per-visitor deletion (see PRIVACY). Opted-out requests are not recorded.
+// GET /admin/stats aggregates them (see SECTION 6A).
+//
+// A query event store is any object exposing async append(event),
+// list(sinceMs) -> events (oldest first), prune(cutoffMs), deleteVisitor(token)
+// and stats(). QUERY_EVENTS_STORE: memory (default) | jsonl | none.
+
+const QUERY_EVENTS_MAX = Number(process.env.QUERY_EVENTS_MAX) || 10000;
+const QUERY_EVENTS_FILE = process.env.QUERY_EVENTS_FILE || './.cache/query-events.jsonl';
+// Retrieved-context answers whose top KB score is below this count as weak matches
+const QUERY_STATS_WEAK_SCORE = Number(process.env.QUERY_STATS_WEAK_SCORE) || 0.5;
+
+// ----- IN-MEMORY RING (DEFAULT) -----
+
+function createMemoryQueryEventStore({ maxEvents, name = 'query events memory' }) {
+  let events = []; // oldest first
+
+  function remove(keep) {
+    const before = events.length;
+    events = events.filter(keep);
+    return before - events.length;
+  }
+
+  return {
+    name,
+
+    async append(event) {
+      events.push(event);
+      if (events.length > maxEvents) events.splice(0, events.length - maxEvents);
+    },
+
+    async list(sinceMs = 0) {
+      return events.filter(event => Date.parse(event.time) >= sinceMs);
+    },
+
+    async prune(cutoffMs) {
+      return remove(event => Date.parse(event.time) >= cutoffMs);
+    },
+
+    async deleteVisitor(token) {
+      return remove(event => event.visitor !== token);
+    },
+
+    stats() {
+      return { kind: 'memory', size: events.length, max: maxEvents };
+    }
+  };
+}
+
+// ----- JSONL FILE (SURVIVES RESTARTS) -----
+
+// The most recent maxEvents are read back at startup and served from memory;
+// every event is also appended to the file
+function createJsonlQueryEventStore(filePath, { maxEvents }) {
+  const memory = createMemoryQueryEventStore({ maxEvents });
+
+  const loaded = (async () => {
+    try {
+      const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean).slice(-maxEvents);
+      for (const line of lines) {
+        try {
+          await memory.append(JSON.parse(line));
+        } catch {
+          // skip unreadable lines
+        }
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`Query events: cannot read ${filePath}:`, err.message || err);
+    }
+  })();
+
+  return {
+    name: 'query events jsonl',
+    persistent: true,
+
+    async append(event) {
+      await loaded;
+      await memory.append(event);
+      await withJsonlFile(filePath, async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, `${JSON.stringify(event)}\n`);
       });
+    },
+
+    async list(sinceMs) {
+      await loaded;
+      return memory.list(sinceMs);
+    },
+
+    async prune(cutoffMs) {
+      await loaded;
+      await memory.prune(cutoffMs);
+      return filterJsonlFile(filePath, event => Date.parse(event.time) >= cutoffMs);
+    },
+
+    async deleteVisitor(token) {
+      await loaded;
+      await memory.deleteVisitor(token);
+      return filterJsonlFile(filePath, event => event.visitor !== token);
+    },
+
+    stats() {
+      return { ...memory.stats(), kind: 'jsonl', file: filePath };
     }
+  };
+}
+
+function createQueryEventStore(kind) {
+  switch (kind) {
+    case 'memory':
+      return createMemoryQueryEventStore({ maxEvents: QUERY_EVENTS_MAX });
+    case 'jsonl':
+      return createJsonlQueryEventStore(QUERY_EVENTS_FILE, { maxEvents: QUERY_EVENTS_MAX });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown QUERY_EVENTS_STORE "${kind}"`);
   }
+}
 
-  combined.sort((a, b) => b.score - a.score);
-  return combined.slice(0, limit);
+const queryEventStore = createQueryEventStore(process.env.QUERY_EVENTS_STORE || 'memory');
+if (queryEventStore) registerPrivacyStore(queryEventStore);
+
+function storeQueryEvent(req, event) {
+  if (!queryEventStore || isTrackingOptOut(req)) return;
+  queryEventStore
+    .append({ time: new Date().toISOString(), visitor: visitorToken(req), ...event })
+    .catch(err => console.warn('Query event store write error:', err.message || err));
+}
+
+// ----- AGGREGATION -----
+
+// Same question, different casing or punctuation
+function queryStatsKey(query) {
+  return String(query || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Why an event counts as unanswered or weakly answered, or null if it does not
+function unansweredReason(event) {
+  if (event.error) return 'error';
+  if (event.fallback) return 'fallback';
+  if (event.route === 'canned' || event.intent === 'technical') return null;
+  if (event.path === 'none') return 'no-match';
+  if (event.path === 'weak' && event.topScore < QUERY_STATS_WEAK_SCORE) return 'weak-match';
+  return null;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function rate(count, total) {
+  return total ? Number((count / total).toFixed(3)) : null;
+}
+
+function countBy(events, field) {
+  const counts = {};
+  for (const event of events) {
+    const value = event[field] ?? '(none)';
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+// Repeated questions, most frequent first; topScore is the best seen
+function groupQueries(events, limit) {
+  const groups = new Map();
+  for (const event of events) {
+    const key = queryStatsKey(event.query);
+    if (!key) continue;
+    const group = groups.get(key) || { query: event.query, count: 0, intent: null, topScore: null, lastAsked: null, reasons: {} };
+    group.count++;
+    group.intent = event.intent;
+    if (typeof event.topScore === 'number') group.topScore = Math.max(group.topScore ?? 0, event.topScore);
+    group.lastAsked = event.time;
+    const reason = unansweredReason(event);
+    if (reason) group.reasons[reason] = (group.reasons[reason] || 0) + 1;
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count || String(b.lastAsked).localeCompare(String(a.lastAsked)))
+    .slice(0, limit);
+}
+
+// Queries answered from each KB category (by the top source), next to the
+// number of KB entries in it; categories nobody asks about show up with 0
+function categoryCoverage(events) {
+  const coverage = new Map();
+  for (const qa of knowledgeBase.qaDatabase || []) {
+    const name = qa.category || '(none)';
+    const row = coverage.get(name) || { category: name, entries: 0, queries: 0, weak: 0 };
+    row.entries++;
+    coverage.set(name, row);
+  }
+  for (const event of events) {
+    if (!event.category) continue;
+    const row = coverage.get(event.category) || { category: event.category, entries: 0, queries: 0, weak: 0 };
+    row.queries++;
+    if (unansweredReason(event)) row.weak++;
+    coverage.set(event.category, row);
+  }
+  return [...coverage.values()].sort((a, b) => b.queries - a.queries || b.entries - a.entries);
+}
+
+// Hourly buckets for windows up to two days, daily beyond that
+function queryTimeline(events, sinceMs, untilMs) {
+  const bucketMs = untilMs - sinceMs <= 48 * 60 * 60 * 1000 ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+  const start = Math.floor(sinceMs / bucketMs) * bucketMs;
+  const buckets = [];
+  for (let t = start; t < untilMs; t += bucketMs) {
+    buckets.push({ start: new Date(t).toISOString(), queries: 0, errors: 0, fallbacks: 0, degraded: 0, latencyMs: [] });
+  }
+  for (const event of events) {
+    const bucket = buckets[Math.floor((Date.parse(event.time) - start) / bucketMs)];
+    if (!bucket) continue;
+    bucket.queries++;
+    if (event.error) bucket.errors++;
+    if (event.fallback) bucket.fallbacks++;
+    if (event.degraded) bucket.degraded++;
+    bucket.latencyMs.push(event.latencyMs);
+  }
+  return {
+    bucketMs,
+    buckets: buckets.map(({ latencyMs, ...bucket }) => ({
+      ...bucket,
+      errorRate: rate(bucket.errors, bucket.queries),
+      avgLatencyMs: latencyMs.length ? Math.round(latencyMs.reduce((a, b) => a + b, 0) / latencyMs.length) : null
+    }))
+  };
+}
+
+function buildQueryStats(events, { sinceMs, untilMs = Date.now(), limit = 20 }) {
+  const latencies = events.map(e => e.latencyMs).filter(Number.isFinite).sort((a, b) => a - b);
+  const count = predicate => events.filter(predicate).length;
+  const unanswered = events.filter(unansweredReason);
+
+  return {
+    since: new Date(sinceMs).toISOString(),
+    until: new Date(untilMs).toISOString(),
+    totals: {
+      queries: events.length,
+      visitors: new Set(events.map(e => e.visitor)).size,
+      errorRate: rate(count(e => e.error), events.length),
+      fallbackRate: rate(count(e => e.fallback), events.length),
+      diversifiedRate: rate(count(e => e.diversified), events.length),
+      degradedRate: rate(count(e => e.degraded), events.length),
+      unansweredRate: rate(unanswered.length, events.length),
+      latencyMs: { p50: percentile(latencies, 50), p95: percentile(latencies, 95), max: latencies.at(-1) ?? null }
+    },
+    intents: countBy(events, 'intent'),
+    routes: countBy(events, 'route'),
+    topQueries: groupQueries(events, limit),
+    unanswered: groupQueries(unanswered, limit),
+    categories: categoryCoverage(events),
+    timeline: queryTimeline(events, sinceMs, untilMs)
+  };
 }
 
 // ======================================================================
@@ -675,7 +3285,74 @@ function detectMultiPartQuery(query) {
   return patterns.some(p => p.test(query));
 }
 
-// ----- USER ROLE CLASSIFIER -----
+// ----- MULTI-PART DECOMPOSITION -----
+
+const MULTIPART_MAX_PARTS = Number(process.env.MULTIPART_MAX_PARTS) || 3;
+const MULTIPART_SLOT_ENTRIES = Number(process.env.MULTIPART_SLOT_ENTRIES) || 2;
+
+const SUB_QUESTION_START =
+  '(?:what|how|why|when|where|which|who|does|did|is|are|can|could|would|tell|describe|walk|give|explain|share)\\b';
+
+const SUB_QUESTION_JOINER = new RegExp(
+  `\\s*[,;]?\\s*\\b(?:and also|and|also|plus|additionally)\\b,?\\s+(?=${SUB_QUESTION_START})|\\s*;\\s*(?=${SUB_QUESTION_START})`,
+  'i'
+);
+
+// "What did he do at X and how does he handle escalations?" -> two questions.
+// Splits at "?" and at and / also / plus only where a new question starts, so
+// "testing and validation" stays whole; a clause under three words is not split off.
+function splitSubQuestions(query, maxParts = MULTIPART_MAX_PARTS) {
+  const parts = [];
+  for (const sentence of String(query).split(/(?<=\?)\s+/)) {
+    const clauses = sentence.split(SUB_QUESTION_JOINER).map(c => c.trim()).filter(Boolean);
+    if (clauses.some(c => c.split(/\s+/).length < 3)) {
+      if (sentence.trim()) parts.push(sentence.trim());
+    } else {
+      parts.push(...clauses);
+    }
+  }
+
+  const unique = [...new Set(parts)];
+  if (unique.length <= maxParts) return unique;
+  return [...unique.slice(0, maxParts - 1), unique.slice(maxParts - 1).join(' ')];
+}
+
+// ----- USER ROLE CLASSIFIER -----
+
+const USER_ROLES = ['hiring_manager', 'recruiter', 'engineer', 'pm', 'general'];
+
+const USER_ROLE_ALIASES = {
+  'hiring manager': 'hiring_manager',
+  'hiring-manager': 'hiring_manager',
+  hm: 'hiring_manager',
+  manager: 'hiring_manager',
+  recruiting: 'recruiter',
+  talent: 'recruiter',
+  developer: 'engineer',
+  dev: 'engineer',
+  'product manager': 'pm',
+  'program manager': 'pm',
+  'project manager': 'pm'
+};
+
+// How each role is described back to the user
+const USER_ROLE_AUDIENCES = {
+  hiring_manager: 'a hiring manager',
+  recruiter: 'a recruiter',
+  engineer: 'an engineer',
+  pm: 'a product or program manager',
+  general: 'a general audience'
+};
+
+// Explicit role from the request "role" field or a "/role <name>" command.
+// Returns a USER_ROLES value, 'auto' (back to detection) or null if unrecognized.
+function parseUserRole(raw) {
+  if (typeof raw !== 'string') return null;
+  const key = raw.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (['auto', 'reset', 'clear', 'none'].includes(key)) return 'auto';
+  if (USER_ROLES.includes(key)) return key;
+  return USER_ROLE_ALIASES[key] || null;
+}
 
 function classifyUserRole(lower) {
   if (lower.includes('hire') || lower.includes('hiring') || lower.includes('interview'))
@@ -751,118 +3428,843 @@ function detectCareerWorkIntent(lower) {
   return keys.some(k => lower.includes(k));
 }
 
-function detectTechnicalIntent(lower) {
-  const tech =
-    /\b(rl|reinforcement learning|policy gradient|q-learning|q learning|actor|critic|mdp|kalman|ekf|ukf|slam|transformer|cnn|rnn|lstm|gan|planning|trajectory|control|mpc|object detection|sensor fusion|occupancy|autonomous driving|simulation|iso 26262|llm|embedding|vector db|retrieval)\b/i;
-  const concept =
-    /\b(what is|what's|define|definition of|explain|how does|difference between|compare|contrast)\b/i;
-  return tech.test(lower) || concept.test(lower);
+function detectTechnicalIntent(lower) {
+  const tech =
+    /\b(rl|reinforcement learning|policy gradient|q-learning|q learning|actor|critic|mdp|kalman|ekf|ukf|slam|transformer|cnn|rnn|lstm|gan|planning|trajectory|control|mpc|object detection|sensor fusion|occupancy|autonomous driving|simulation|iso 26262|llm|embedding|vector db|retrieval)\b/i;
+  const concept =
+    /\b(what is|what's|define|definition of|explain|how does|difference between|compare|contrast)\b/i;
+  return tech.test(lower) || concept.test(lower);
+}
+
+// ----- INTENT RESOLUTION (KYLE / TECHNICAL / MIXED) -----
+
+function resolveIntent(originalQuery, lower) {
+  const mentionsKyle = /\bkyle\b/.test(lower);
+  const star = detectSTARQuery(originalQuery);
+  const career = detectCareerWorkIntent(lower);
+  const tech = detectTechnicalIntent(lower);
+
+  // STAR always → Kyle mode
+  if (star) return { intent: 'kyle', star };
+
+  // Technical questions → TECH
+  // But override to Kyle if clearly about his work or experience
+  if (tech) {
+    if (career || mentionsKyle) return { intent: 'kyle', star };
+    return { intent: 'technical', star };
+  }
+
+  // Career / background / work / interview style → KYLE
+  if (career || mentionsKyle) return { intent: 'kyle', star };
+
+  // Everything else → mixed
+  return { intent: 'mixed', star };
+}
+
+// ==================================================================
+// UNIVERSAL ADVANCED TECHNICAL / CHALLENGE MODE OVERRIDE
+// ==================================================================
+//
+// Must run AFTER resolveIntent_v5 decides intent.
+// This override forces extremely technical, architectural, 
+// catastrophic, or moonshot questions into technical mode,
+// even when career-language or Kyle keywords appear.
+//
+
+const challengeSignalRegex = /\b(physics bomb|holographic|adversarial prank|starship|mars landing|compute arbitrage|1000x|extinction filter|north[-\s]?star metric|moonshot|architecture do you build|how do you win|build a system|ultra reliable|catastrophic|failure mode|adversarial|unseen dust storm|boulder field|one shot|impossible problem|10b|24 months|beat gpt|beat claude|beat grok|runtime verification)\b/i;
+
+function applyChallengeOverride(intent, lower) {
+  if (challengeSignalRegex.test(lower)) {
+    return "technical";
+  }
+  return intent;
+}
+
+// ----- LEARNED CLASSIFIER (BACKUP FOR THE KEYWORD DETECTORS) -----
+// Logistic regression over n-grams (intent-classifier.js), trained at startup from
+// INTENT_EXAMPLES_FILE. A prediction replaces the keyword label only at or above
+// its head's confidence threshold; "npm run eval:intent" reports how often that
+// happens and how accurate the overrides are. For narrow-only heads (role) it can
+// only turn the keyword detector's "general" into a specific label.
+
+const INTENT_EXAMPLES_FILE = process.env.INTENT_EXAMPLES_FILE || './intent-examples.json';
+
+const INTENT_CLASSIFIER_THRESHOLDS = {
+  ...DEFAULT_THRESHOLDS,
+  ...JSON.parse(process.env.INTENT_CLASSIFIER_THRESHOLDS || '{}')
+};
+
+const CLASSIFIER_LABELS = {
+  intent: ['kyle', 'mixed', 'technical'],
+  role: USER_ROLES,
+  topic: Object.keys(TOPIC_PHRASES)
+};
+
+let intentClassifier = null;
+
+try {
+  const examples = await loadIntentExamples(INTENT_EXAMPLES_FILE);
+  examples.forEach((example, index) => {
+    for (const [head, labels] of Object.entries(CLASSIFIER_LABELS)) {
+      if (example[head] && !labels.includes(example[head])) {
+        throw new Error(`example #${index}: unknown ${head} "${example[head]}"`);
+      }
+    }
+  });
+  intentClassifier = trainIntentClassifier(examples);
+  console.log(`Trained intent classifier on ${examples.length} examples from ${INTENT_EXAMPLES_FILE}`);
+} catch (err) {
+  console.warn('Intent classifier disabled, using keyword detectors only:', err.message);
+}
+
+function predictLabels(lower) {
+  return intentClassifier ? intentClassifier.predict(lower) : {};
+}
+
+function canOverride(head, prediction, keywordLabel) {
+  if (!prediction || prediction.confidence < INTENT_CLASSIFIER_THRESHOLDS[head]) return false;
+  const broad = NARROW_ONLY_HEADS[head];
+  return !broad || (prediction.label !== broad && (keywordLabel === undefined || keywordLabel === broad));
+}
+
+function resolveLabel(head, lower, keywordLabel) {
+  const prediction = predictLabels(lower)[head];
+  return canOverride(head, prediction, keywordLabel) ? prediction.label : keywordLabel;
+}
+
+// Per-head prediction, threshold and whether it could apply (for debug output;
+// narrow-only heads also depend on the keyword label, which is not known here)
+function explainClassification(lower) {
+  const predictions = predictLabels(lower);
+  return Object.fromEntries(
+    Object.keys(CLASSIFIER_LABELS).map(head => {
+      const p = predictions[head];
+      const threshold = INTENT_CLASSIFIER_THRESHOLDS[head];
+      return [head, p ? { ...p, threshold, applied: canOverride(head, p) } : null];
+    })
+  );
+}
+
+// ======================================================================
+// SECTION 3A: DECLARATIVE INTENT ROUTER
+// ======================================================================
+
+// Canned replies (joke, hostile, pay, wins, ...) are declared in routes.json
+// instead of an inline regex waterfall. Each route:
+//   id, priority          higher priority is tried first (ties keep file order)
+//   patterns / exact      case-insensitive regexes / whole-query strings; any match
+//   exclude               regexes that veto the route even when a pattern matched
+//   requireNoHistory      only applies to the first turn of a conversation
+//   response              template; {topic} expands to classifyTopic(query)
+//   generate              optional LLM call ({ system, prompt, temperature,
+//                         maxTokens }); response is used if it returns nothing
+//   errorResponse         reply when generate fails (defaults to response)
+//   passthrough           record the route but continue to KB + LLM answering,
+//                         optionally forcing "intent" (kyle | mixed | technical)
+
+const ROUTES_FILE = process.env.ROUTES_FILE || './routes.json';
+
+function compileRoutePattern(source, routeId) {
+  try {
+    return new RegExp(source, 'i');
+  } catch (err) {
+    throw new Error(`route "${routeId}": invalid pattern ${JSON.stringify(source)}: ${err.message}`);
+  }
+}
+
+function compileRoutes(config) {
+  if (!config || !Array.isArray(config.routes)) {
+    throw new Error('routes config must be { "routes": [...] }');
+  }
+
+  const seen = new Set();
+  const routes = config.routes.map((route, order) => {
+    if (!route || typeof route.id !== 'string' || !route.id) {
+      throw new Error(`route #${order}: missing "id"`);
+    }
+    if (seen.has(route.id)) throw new Error(`route "${route.id}": duplicate id`);
+    seen.add(route.id);
+
+    const patterns = (route.patterns || []).map(p => compileRoutePattern(p, route.id));
+    const exact = new Set((route.exact || []).map(s => String(s).toLowerCase()));
+    if (!patterns.length && !exact.size) {
+      throw new Error(`route "${route.id}": needs "patterns" or "exact"`);
+    }
+    if (!route.passthrough && typeof route.response !== 'string') {
+      throw new Error(`route "${route.id}": needs "response" unless "passthrough" is set`);
+    }
+    if (route.intent && !['kyle', 'mixed', 'technical'].includes(route.intent)) {
+      throw new Error(`route "${route.id}": unknown intent "${route.intent}"`);
+    }
+
+    return {
+      ...route,
+      priority: Number(route.priority) || 0,
+      order,
+      patterns,
+      exact,
+      exclude: (route.exclude || []).map(p => compileRoutePattern(p, route.id))
+    };
+  });
+
+  return routes.sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+let intentRoutes = [];
+
+try {
+  intentRoutes = compileRoutes(JSON.parse(await fs.readFile(ROUTES_FILE, 'utf8')));
+  console.log(`Loaded ${intentRoutes.length} intent routes from ${ROUTES_FILE}`);
+} catch (err) {
+  console.error('Refusing to start, invalid intent routes:', err.message);
+  process.exit(1);
+}
+
+// ----- MATCHING -----
+
+// Evaluates every route so the trace also shows matches shadowed by a
+// higher-priority route. The first "matched" entry wins.
+function routeQuery(lower, { hasHistory = false } = {}) {
+  const query = lower.trim();
+  const trace = [];
+  let winner = null;
+
+  for (const route of intentRoutes) {
+    const step = { id: route.id, priority: route.priority };
+    trace.push(step);
+
+    if (route.requireNoHistory && hasHistory) {
+      step.result = 'skipped';
+      step.reason = 'requires a first-turn query';
+      continue;
+    }
+
+    const pattern = route.exact.has(query)
+      ? `exact "${query}"`
+      : (route.patterns.find(re => re.test(lower)) || {}).source;
+    if (!pattern) {
+      step.result = 'no-match';
+      continue;
+    }
+    step.pattern = pattern;
+
+    const veto = route.exclude.find(re => re.test(lower));
+    if (veto) {
+      step.result = 'excluded';
+      step.excludedBy = veto.source;
+      continue;
+    }
+
+    if (winner) {
+      step.result = 'shadowed';
+      step.reason = `lower priority than "${winner.id}"`;
+    } else {
+      step.result = 'matched';
+      winner = route;
+    }
+  }
+
+  return { route: winner, trace };
+}
+
+// ----- RESPONSES -----
+
+function renderRouteTemplate(template, lower) {
+  return String(template).replace(/\{topic\}/g, () => classifyTopic(lower));
+}
+
+async function renderRouteResponse(route, lower) {
+  if (!route.generate) return sanitizeOutput(renderRouteTemplate(route.response, lower));
+
+  try {
+    const text = await llmChat({
+      messages: [
+        { role: 'system', content: route.generate.system },
+        { role: 'user', content: route.generate.prompt }
+      ],
+      temperature: route.generate.temperature ?? 0.7,
+      max_tokens: route.generate.maxTokens || 200
+    });
+    return formatParagraphs(text || renderRouteTemplate(route.response, lower));
+  } catch (e) {
+    console.error(`Route "${route.id}" generation error:`, e);
+    return renderRouteTemplate(route.errorResponse || route.response, lower);
+  }
+}
+
+// ======================================================================
+// SECTION 4: ADVANCED TECHNICAL CHALLENGE HANDLER
+// ======================================================================
+
+const advancedChallengeRegex =
+  /\b(physics bomb|holographic|adversarial prank|starship|mars landing|compute arbitrage|1000x|extinction filter|north-star metric|north star)\b/i;
+
+function buildAdvancedChallengePrompt(originalQuery) {
+  return `The user is asking a deep systems-architecture question that should be answered at a high level but with concrete, implementable detail.
+
+User question:
+"${originalQuery}"
+
+Respond with:
+1) A clear, practical architecture or technique that could realistically be implemented tomorrow.
+2) How it integrates perception, sensor fusion, safety, or runtime verification.
+3) How it handles unseen edge cases without adding significant latency.
+4) Why it outperforms naive or common industry approaches.
+5) The reasoning grounded in real engineering constraints from autonomous systems, trading, and AI tooling.`;
+}
+
+function applyAdvancedChallengeOverride(intent, lower, originalQuery) {
+  if (advancedChallengeRegex.test(lower) && intent === 'technical') {
+    return buildAdvancedChallengePrompt(originalQuery);
+  }
+  return null;
+}
+
+// ======================================================================
+// SECTION 5: SAFETY / EXTREME TECH SIGNALS
+// ======================================================================
+
+const catastrophicSignals =
+  /\b(av kills|car hits|kill|kills|injure|injury|mass casualty|catastrophic|failure mode|single point of failure|safety critical|run over|hit a person|hits a person|pedestrian impact|fatal|neuralink|brain chip|10m\+|fleetwide|verification loop|systems architecture)\b/i;
+
+const speculativeTechSignals =
+  /\b(fuse|fusion with|integrate quantum|brain interface|neural control|general intelligence|superhuman|hypothetical system)\b/i;
+
+const redTeamSignals =
+  /\b(zero\-day|0day|exploit|bioweapon|weapon|dangerous output|misuse|persuaded into|forced to output|harmful|public release|72 hours|catastrophic failure)\b/i;
+
+// ======================================================================
+// SECTION 6: HEALTH ENDPOINTS
+// ======================================================================
+
+app.get('/', (req, res) => {
+  res.json({
+    status: 'Agent K running',
+    entries: knowledgeBase.qaDatabase.length,
+    embeddings: EMBEDDINGS_ENABLED ? 'enabled' : 'keyword-only',
+    embeddingBackend: embeddingBackend ? embeddingBackend.name : 'none'
+  });
+});
+
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'Agent K',
+    entries: knowledgeBase.qaDatabase.length,
+    embeddings: EMBEDDINGS_ENABLED ? 'enabled' : 'keyword-only',
+    embeddingBackend: embeddingBackend ? embeddingBackend.name : 'none',
+    kbVersion,
+    kbValidation,
+    kbReload: kbReloadStatus,
+    responseCache: responseCacheStats(),
+    providers: llmProviders.map(p => p.name),
+    llmBudget: llmBudgetStats(),
+    analytics: analyticsStats(),
+    queryEvents: queryEventStore ? queryEventStore.stats() : { kind: 'none' },
+    privacy: {
+      ipMode: PRIVACY_IP_MODE,
+      retentionDays: PRIVACY_RETENTION_DAYS,
+      stores: privacyStores.map(store => store.name)
+    }
+  });
+});
+
+// ----- PRIVACY -----
+// A visitor can look up their own token and delete everything stored under it.
+// Tokens are salted hashes, so only whoever received one in X-Visitor-Token
+// can present it.
+
+app.get('/privacy/visitor', (req, res) => {
+  res.json({
+    visitor: visitorToken(req),
+    optedOut: isTrackingOptOut(req),
+    ipMode: PRIVACY_IP_MODE,
+    retentionDays: PRIVACY_RETENTION_DAYS
+  });
+});
+
+app.delete('/privacy/visitor/:token', async (req, res) => {
+  const token = req.params.token;
+  if (!/^[0-9a-f]{16}$/.test(token)) {
+    return res.status(400).json({ error: 'Invalid visitor token' });
+  }
+
+  try {
+    const deleted = await deleteVisitorRecords(token);
+    console.log(`Privacy: deleted records for visitor ${token}`, deleted);
+    res.json({ visitor: token, deleted });
+  } catch (err) {
+    console.error('Visitor deletion failed:', err.message || err);
+    res.status(500).json({ error: 'Deletion failed' });
+  }
+});
+
+// ----- ROUTE DEBUG -----
+// Explains which routes.json entry a query would hit, without answering it.
+// ?history=1 evaluates it as a follow-up inside a conversation.
+
+app.get('/debug/route', (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) return res.status(400).json({ error: 'Query required' });
+
+  const normalized = normalizeQuery(q);
+  const { route, trace } = routeQuery(normalized.toLowerCase(), {
+    hasHistory: req.query.history === '1' || req.query.history === 'true'
+  });
+
+  res.json({
+    query: q,
+    normalized,
+    route: route ? route.id : null,
+    action: !route ? 'answer' : route.passthrough ? 'passthrough' : 'canned',
+    reason: route
+      ? `matched ${trace.find(step => step.id === route.id).pattern}`
+      : 'no route matched; the query goes to KB retrieval and the LLM',
+    trace: trace.filter(step => step.result !== 'no-match')
+  });
+});
+
+// ======================================================================
+// SECTION 6A: ADMIN ENDPOINTS
+// ======================================================================
+
+// Admin routes require "Authorization: Bearer <ADMIN_TOKEN>". With no
+// ADMIN_TOKEN configured they are disabled entirely.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({ error: 'Admin API disabled' });
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const given = Buffer.from(token);
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// ----- KB RELOAD -----
+
+app.post('/admin/kb/reload', requireAdmin, async (req, res) => {
+  const result = await reloadKnowledgeBase('admin endpoint');
+  if (!result.ok) {
+    return res.status(422).json({ status: 'failed', ...result });
+  }
+  res.json({ status: 'reloaded', ...result });
+});
+
+// ----- KB ENTRY CRUD -----
+// Edits apply to knowledge-base.json itself (not the served copy, which may have
+// invalid entries dropped). An edit that would not load is rejected with 422.
+// Otherwise the previous file is copied to KB_HISTORY_DIR, the new one is
+// written atomically, then hot-reloaded; the embedding cache means only the
+// touched entries are re-embedded.
+
+const KB_HISTORY_DIR = process.env.KB_HISTORY_DIR || './.cache/kb-history';
+const KB_HISTORY_LIMIT = Number(process.env.KB_HISTORY_LIMIT) || 20;
+const KB_TEXT_FIELDS = ['id', 'question', 'answer', 'behavior', 'title', 'description'];
+
+let kbWriteChain = Promise.resolve();
+
+function httpError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.extra = extra;
+  return err;
+}
+
+function sendAdminError(res, err) {
+  if (!err.status) console.error('Admin KB error:', err);
+  res.status(err.status || 500).json({ error: err.message, ...(err.extra || {}) });
+}
+
+async function readKbFile() {
+  const raw = await fs.readFile(KB_FILE, 'utf8');
+  const kb = JSON.parse(raw);
+  if (!kb || !Array.isArray(kb.qaDatabase)) {
+    throw httpError(500, 'knowledge-base.json has no qaDatabase array');
+  }
+  return { raw, kb };
+}
+
+async function listKbHistory() {
+  try {
+    const names = await fs.readdir(KB_HISTORY_DIR);
+    return names.filter(n => /^knowledge-base-.+\.json$/.test(n)).sort().reverse();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+async function backupKbFile(raw) {
+  await fs.mkdir(KB_HISTORY_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await fs.writeFile(path.join(KB_HISTORY_DIR, `knowledge-base-${stamp}.json`), raw);
+
+  const history = await listKbHistory();
+  for (const name of history.slice(KB_HISTORY_LIMIT)) {
+    await fs.unlink(path.join(KB_HISTORY_DIR, name));
+  }
+}
+
+async function writeKbFile(contents) {
+  const tmpPath = `${KB_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, contents);
+  await fs.rename(tmpPath, KB_FILE);
+}
+
+// Backs up previousRaw, writes contents and reloads. If the reload still fails
+// the previous file is written back, so disk never drifts from the served KB.
+async function replaceKbFile(previousRaw, contents, reason) {
+  await backupKbFile(previousRaw);
+  await writeKbFile(contents);
+  const reload = await reloadKnowledgeBase(reason);
+  if (!reload.ok) {
+    await writeKbFile(previousRaw);
+    throw httpError(500, `Knowledge base reload failed; previous file restored: ${reload.error}`, {
+      version: reload.version
+    });
+  }
+  return reload;
+}
+
+// Serializes edits: mutate(kb) changes the parsed file in place and returns the
+// response body (or throws httpError). The edited KB must pass the same
+// validation as a load before it is backed up, saved and reloaded.
+function updateKnowledgeBaseFile(mutate) {
+  const run = kbWriteChain.then(async () => {
+    const { raw, kb } = await readKbFile();
+    const result = mutate(kb);
+    const contents = `${JSON.stringify(kb, null, 4)}\n`;
+    try {
+      parseKnowledgeBase(contents);
+    } catch (err) {
+      throw httpError(422, `Edit would not load: ${err.message}`);
+    }
+    const reload = await replaceKbFile(raw, contents, 'admin edit');
+    return { ...result, version: reload.version };
+  });
+  kbWriteChain = run.catch(() => {});
+  return run;
+}
+
+function findEntryIndex(kb, id, requestedIndex) {
+  const matches = [];
+  kb.qaDatabase.forEach((entry, idx) => {
+    if (entry && entry.id === id) matches.push(idx);
+  });
+
+  if (requestedIndex !== undefined) {
+    const idx = Number(requestedIndex);
+    if (!matches.includes(idx)) throw httpError(404, `No KB entry "${id}" at index ${requestedIndex}`);
+    return idx;
+  }
+  if (!matches.length) throw httpError(404, `No KB entry with id "${id}"`);
+  if (matches.length > 1) {
+    throw httpError(409, `id "${id}" is used by ${matches.length} entries; pass ?index= to choose one`, {
+      indexes: matches
+    });
+  }
+  return matches[0];
+}
+
+function assertValidEntry(entry) {
+  const errors = validateKnowledgeBaseEntry(entry);
+  if (errors.length) throw httpError(400, 'Invalid KB entry', { details: errors });
 }
 
-// ----- INTENT RESOLUTION (KYLE / TECHNICAL / MIXED) -----
+// Lint warnings (unknown category, near-duplicate, ...) for one entry
+function entryWarnings(kb, index) {
+  return validateKnowledgeBase(kb)
+    .warnings.filter(w => w.index === index)
+    .map(w => w.message);
+}
 
-function resolveIntent(originalQuery, lower) {
-  const mentionsKyle = /\bkyle\b/.test(lower);
-  const star = detectSTARQuery(originalQuery);
-  const career = detectCareerWorkIntent(lower);
-  const tech = detectTechnicalIntent(lower);
+app.get('/admin/kb/entries', requireAdmin, async (req, res) => {
+  try {
+    const { kb } = await readKbFile();
+    const category = String(req.query.category || '').toLowerCase();
+    const keyword = String(req.query.keyword || '').toLowerCase();
+    const search = String(req.query.q || '').toLowerCase();
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const offset = Number(req.query.offset) || 0;
+
+    const matches = kb.qaDatabase
+      .map((entry, index) => ({ index, entry }))
+      .filter(({ entry }) => {
+        if (category && String(entry.category || '').toLowerCase() !== category) return false;
+        if (keyword && !(entry.keywords || []).some(k => String(k).toLowerCase() === keyword)) {
+          return false;
+        }
+        if (search) {
+          const text = KB_TEXT_FIELDS.map(f => entry[f] || '').join(' ').toLowerCase();
+          if (!text.includes(search)) return false;
+        }
+        return true;
+      });
 
-  // STAR always → Kyle mode
-  if (star) return { intent: 'kyle', star };
+    res.json({ total: matches.length, offset, limit, entries: matches.slice(offset, offset + limit) });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
 
-  // Technical questions → TECH
-  // But override to Kyle if clearly about his work or experience
-  if (tech) {
-    if (career || mentionsKyle) return { intent: 'kyle', star };
-    return { intent: 'technical', star };
+app.get('/admin/kb/categories', requireAdmin, async (req, res) => {
+  try {
+    const { kb } = await readKbFile();
+    const counts = {};
+    for (const entry of kb.qaDatabase) {
+      const category = entry.category || '(none)';
+      counts[category] = (counts[category] || 0) + 1;
+    }
+    res.json({
+      categories: Object.entries(counts)
+        .map(([name, count]) => ({ name, count, known: KNOWN_CATEGORIES.has(name) }))
+        .sort((a, b) => b.count - a.count)
+    });
+  } catch (err) {
+    sendAdminError(res, err);
   }
+});
 
-  // Career / background / work / interview style → KYLE
-  if (career || mentionsKyle) return { intent: 'kyle', star };
+app.get('/admin/kb/entries/:id', requireAdmin, async (req, res) => {
+  try {
+    const { kb } = await readKbFile();
+    const index = findEntryIndex(kb, req.params.id, req.query.index);
+    res.json({ index, entry: kb.qaDatabase[index] });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
 
-  // Everything else → mixed
-  return { intent: 'mixed', star };
-}
+app.post('/admin/kb/entries', requireAdmin, async (req, res) => {
+  try {
+    const entry = req.body || {};
+    assertValidEntry(entry);
 
-// ==================================================================
-// UNIVERSAL ADVANCED TECHNICAL / CHALLENGE MODE OVERRIDE
-// ==================================================================
-//
-// Must run AFTER resolveIntent_v5 decides intent.
-// This override forces extremely technical, architectural, 
-// catastrophic, or moonshot questions into technical mode,
-// even when career-language or Kyle keywords appear.
-//
+    const result = await updateKnowledgeBaseFile(kb => {
+      if (kb.qaDatabase.some(e => e && e.id === entry.id)) {
+        throw httpError(409, `id "${entry.id}" already exists`);
+      }
+      kb.qaDatabase.push(entry);
+      const index = kb.qaDatabase.length - 1;
+      return { index, entry, warnings: entryWarnings(kb, index) };
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
 
-const challengeSignalRegex = /\b(physics bomb|holographic|adversarial prank|starship|mars landing|compute arbitrage|1000x|extinction filter|north[-\s]?star metric|moonshot|architecture do you build|how do you win|build a system|ultra reliable|catastrophic|failure mode|adversarial|unseen dust storm|boulder field|one shot|impossible problem|10b|24 months|beat gpt|beat claude|beat grok|runtime verification)\b/i;
+app.put('/admin/kb/entries/:id', requireAdmin, async (req, res) => {
+  try {
+    const entry = { id: req.params.id, ...(req.body || {}) };
+    assertValidEntry(entry);
 
-function applyChallengeOverride(intent, lower) {
-  if (challengeSignalRegex.test(lower)) {
-    return "technical";
+    const result = await updateKnowledgeBaseFile(kb => {
+      const index = findEntryIndex(kb, req.params.id, req.query.index);
+      if (entry.id !== req.params.id && kb.qaDatabase.some(e => e && e.id === entry.id)) {
+        throw httpError(409, `id "${entry.id}" already exists`);
+      }
+      const previous = kb.qaDatabase[index];
+      kb.qaDatabase[index] = entry;
+      return { index, previous, entry, warnings: entryWarnings(kb, index) };
+    });
+    res.json(result);
+  } catch (err) {
+    sendAdminError(res, err);
   }
-  return intent;
-}
+});
 
-// ======================================================================
-// SECTION 4: ADVANCED TECHNICAL CHALLENGE HANDLER
-// ======================================================================
+app.delete('/admin/kb/entries/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await updateKnowledgeBaseFile(kb => {
+      const index = findEntryIndex(kb, req.params.id, req.query.index);
+      const [deleted] = kb.qaDatabase.splice(index, 1);
+      return { index, deleted };
+    });
+    res.json(result);
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
 
-const advancedChallengeRegex =
-  /\b(physics bomb|holographic|adversarial prank|starship|mars landing|compute arbitrage|1000x|extinction filter|north-star metric|north star)\b/i;
+// ----- KB VERSION HISTORY -----
 
-function buildAdvancedChallengePrompt(originalQuery) {
-  return `The user is asking a deep systems-architecture question that should be answered at a high level but with concrete, implementable detail.
+app.get('/admin/kb/history', requireAdmin, async (req, res) => {
+  try {
+    res.json({ current: kbVersion, backups: await listKbHistory() });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
 
-User question:
-"${originalQuery}"
+app.post('/admin/kb/history/:name/restore', requireAdmin, async (req, res) => {
+  try {
+    const history = await listKbHistory();
+    if (!history.includes(req.params.name)) {
+      throw httpError(404, `No backup named "${req.params.name}"`);
+    }
 
-Respond with:
-1) A clear, practical architecture or technique that could realistically be implemented tomorrow.
-2) How it integrates perception, sensor fusion, safety, or runtime verification.
-3) How it handles unseen edge cases without adding significant latency.
-4) Why it outperforms naive or common industry approaches.
-5) The reasoning grounded in real engineering constraints from autonomous systems, trading, and AI tooling.`;
-}
+    const raw = await fs.readFile(path.join(KB_HISTORY_DIR, req.params.name), 'utf8');
+    try {
+      parseKnowledgeBase(raw);
+    } catch (err) {
+      throw httpError(422, `Backup would not load: ${err.message}`);
+    }
 
-function applyAdvancedChallengeOverride(intent, lower, originalQuery) {
-  if (advancedChallengeRegex.test(lower) && intent === 'technical') {
-    return buildAdvancedChallengePrompt(originalQuery);
+    const run = kbWriteChain.then(async () =>
+      replaceKbFile(await fs.readFile(KB_FILE, 'utf8'), raw, `restore ${req.params.name}`)
+    );
+    kbWriteChain = run.catch(() => {});
+    const reload = await run;
+
+    res.json({ restored: req.params.name, ...reload });
+  } catch (err) {
+    sendAdminError(res, err);
   }
-  return null;
-}
+});
 
-// ======================================================================
-// SECTION 5: SAFETY / EXTREME TECH SIGNALS
-// ======================================================================
+// ----- CONVERSATION STATS -----
+// GET /admin/stats?hours=168&limit=20 aggregates the query event store (see
+// SECTION 2F). GET /admin/stats.html is a static page that asks for the admin
+// token and renders the same JSON; it holds no data itself, so it is served
+// without auth (but only when the admin API is enabled). The token lives only
+// in the page's memory and is asked for again on every load.
 
-const catastrophicSignals =
-  /\b(av kills|car hits|kill|kills|injure|injury|mass casualty|catastrophic|failure mode|single point of failure|safety critical|run over|hit a person|hits a person|pedestrian impact|fatal|neuralink|brain chip|10m\+|fleetwide|verification loop|systems architecture)\b/i;
+const STATS_DEFAULT_HOURS = 7 * 24;
+const STATS_MAX_HOURS = 90 * 24;
 
-const speculativeTechSignals =
-  /\b(fuse|fusion with|integrate quantum|brain interface|neural control|general intelligence|superhuman|hypothetical system)\b/i;
+app.get('/admin/stats', requireAdmin, async (req, res) => {
+  try {
+    if (!queryEventStore) throw httpError(404, 'Query event store disabled (QUERY_EVENTS_STORE=none)');
+
+    const hours = Math.min(Number(req.query.hours) || STATS_DEFAULT_HOURS, STATS_MAX_HOURS);
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const untilMs = Date.now();
+    const sinceMs = untilMs - hours * 60 * 60 * 1000;
+    const events = await queryEventStore.list(sinceMs);
+
+    res.json({
+      store: queryEventStore.stats(),
+      retentionDays: PRIVACY_RETENTION_DAYS,
+      ...buildQueryStats(events, { sinceMs, untilMs, limit })
+    });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
 
-const redTeamSignals =
-  /\b(zero\-day|0day|exploit|bioweapon|weapon|dangerous output|misuse|persuaded into|forced to output|harmful|public release|72 hours|catastrophic failure)\b/i;
+const STATS_PAGE_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Agent K - conversation stats</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #222; max-width: 1100px; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { background: #f6f6f6; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 8px 12px; min-width: 120px; }
+  .card b { display: block; font-size: 18px; }
+  .bar { display: inline-block; height: 10px; background: #4a7; vertical-align: middle; }
+  .bar.err { background: #d54; }
+  #error { color: #c33; }
+</style>
+</head>
+<body>
+<h1>Agent K - conversation stats</h1>
+<form id="controls">
+  <input id="token" type="password" placeholder="Admin token" autocomplete="off">
+  <select id="hours">
+    <option value="24">Last 24 hours</option>
+    <option value="168" selected>Last 7 days</option>
+    <option value="720">Last 30 days</option>
+  </select>
+  <button>Load</button>
+  <span id="error"></span>
+</form>
+<div id="report"></div>
+<script>
+const $ = id => document.getElementById(id);
+const esc = v => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+const pct = v => (v == null ? '-' : (v * 100).toFixed(1) + '%');
+const table = (headers, rows) =>
+  '<table><tr>' + headers.map(h => '<th>' + esc(h) + '</th>').join('') + '</tr>' +
+  (rows.length ? rows.map(r => '<tr>' + r.map(c => '<td' + (typeof c === 'number' ? ' class="num"' : '') + '>' +
+    (typeof c === 'object' && c && c.html ? c.html : esc(c)) + '</td>').join('') + '</tr>').join('')
+    : '<tr><td colspan="' + headers.length + '">No data</td></tr>') + '</table>';
+const counts = obj => table(['', 'Queries'], Object.entries(obj).sort((a, b) => b[1] - a[1]));
+
+function render(s) {
+  const t = s.totals;
+  const cards = [
+    ['Queries', t.queries], ['Visitors', t.visitors], ['Error rate', pct(t.errorRate)],
+    ['Fallback rate', pct(t.fallbackRate)], ['Unanswered / weak', pct(t.unansweredRate)],
+    ['Diversified', pct(t.diversifiedRate)], ['KB-only (budget)', pct(t.degradedRate)],
+    ['Latency p50 / p95', (t.latencyMs.p50 ?? '-') + ' / ' + (t.latencyMs.p95 ?? '-') + ' ms']
+  ];
+  const peak = Math.max(1, ...s.timeline.buckets.map(b => b.queries));
+  const bucketLabel = b => s.timeline.bucketMs < 86400000 ? b.start.slice(5, 16).replace('T', ' ') : b.start.slice(0, 10);
+  $('report').innerHTML =
+    '<p>' + esc(s.since) + ' to ' + esc(s.until) + ' - store: ' + esc(s.store.kind) + ' (' + s.store.size +
+    ' events, kept ' + esc(s.retentionDays || 'indefinitely') + ' days)</p>' +
+    '<div class="cards">' + cards.map(([k, v]) => '<div class="card">' + esc(k) + '<b>' + esc(v) + '</b></div>').join('') + '</div>' +
+    '<h2>Top queries</h2>' +
+    table(['Query', 'Count', 'Intent', 'Best KB score'], s.topQueries.map(q => [q.query, q.count, q.intent || '-', q.topScore ?? '-'])) +
+    '<h2>Unanswered or weak-match queries</h2>' +
+    table(['Query', 'Count', 'Why', 'Best KB score', 'Last asked'], s.unanswered.map(q => [
+      q.query, q.count, Object.entries(q.reasons).map(([r, n]) => r + ' x' + n).join(', '), q.topScore ?? '-', q.lastAsked
+    ])) +
+    '<h2>Category coverage</h2>' +
+    table(['Category', 'KB entries', 'Queries', 'Unanswered / weak'], s.categories.map(c => [c.category, c.entries, c.queries, c.weak])) +
+    '<h2>Intents</h2>' + counts(s.intents) +
+    '<h2>Routes</h2>' + counts(s.routes) +
+    '<h2>Errors over time</h2>' +
+    table(['Period', 'Queries', '', 'Errors', 'Error rate', 'Fallbacks', 'Avg latency (ms)'],
+      s.timeline.buckets.filter(b => b.queries).map(b => [
+        bucketLabel(b), b.queries,
+        { html: '<span class="bar" style="width:' + Math.round((120 * (b.queries - b.errors)) / peak) + 'px"></span>' +
+          '<span class="bar err" style="width:' + Math.round((120 * b.errors) / peak) + 'px"></span>' },
+        b.errors, pct(b.errorRate), b.fallbacks, b.avgLatencyMs ?? '-'
+      ]));
+}
 
-// ======================================================================
-// SECTION 6: HEALTH ENDPOINTS
-// ======================================================================
+async function load(event) {
+  if (event) event.preventDefault();
+  const token = $('token').value;
+  if (!token) return;
+  $('error').textContent = '';
+  const res = await fetch('stats?hours=' + $('hours').value, { headers: { Authorization: 'Bearer ' + token } });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    if (res.status === 401) $('token').value = '';
+    $('error').textContent = body.error || 'HTTP ' + res.status;
+    return;
+  }
+  render(body);
+}
 
-app.get('/', (req, res) => {
-  res.json({
-    status: 'Agent K running',
-    entries: knowledgeBase.qaDatabase.length,
-    embeddings: EMBEDDINGS_ENABLED ? 'enabled' : 'keyword-only'
-  });
-});
+$('controls').addEventListener('submit', load);
+$('hours').addEventListener('change', load);
+</script>
+</body>
+</html>
+`;
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    service: 'Agent K',
-    entries: knowledgeBase.qaDatabase.length,
-    embeddings: EMBEDDINGS_ENABLED ? 'enabled' : 'keyword-only'
-  });
+app.get('/admin/stats.html', (req, res) => {
+  if (!ADMIN_TOKEN) return res.status(404).json({ error: 'Admin API disabled' });
+  res.type('text/html').send(STATS_PAGE_HTML);
 });
 
 // ======================================================================
@@ -909,23 +4311,19 @@ app.post('/suggest', async (req, res) => {
     if (isPartial) {
       const lowerQ = q.toLowerCase();
 
+      // BM25 with the last (possibly half-typed) word prefix-expanded
+      const bm25 = kbSearchIndex.score(lowerQ, { prefixLastTerm: /\w$/.test(lowerQ) });
+      const maxBm25 = bm25.reduce((max, v) => Math.max(max, v), 0);
+
       const fuzzy = (knowledgeBase.qaDatabase || [])
-        .map(entry => {
+        .map((entry, idx) => {
           const question = (entry.question || '').trim();
           if (!question) return null;
 
-          const qLower = question.toLowerCase();
-          let score = 0;
-
-          // Strong: question starts with the typed fragment
-          if (qLower.startsWith(lowerQ)) score += 20;
+          let score = bm25[idx] || 0;
 
-          // Medium: question contains fragment anywhere
-          if (qLower.includes(lowerQ)) score += 10;
-
-          // Weak: partial word match (prefix on each word)
-          const partialMatch = qLower.split(/\s+/).some(w => w.startsWith(lowerQ));
-          if (partialMatch) score += 5;
+          // Questions that start with the typed fragment always rank first
+          if (question.toLowerCase().startsWith(lowerQ)) score += maxBm25 + 1;
 
           return { question, score };
         })
@@ -965,285 +4363,306 @@ app.post('/suggest', async (req, res) => {
 });
 
 // ======================================================================
-// SECTION 8: MAIN QUERY ENDPOINT
+// SECTION 7A: STREAMING (SERVER-SENT EVENTS)
 // ======================================================================
 
-app.post('/query', async (req, res) => {
-  try {
-    let { q, lastBotMessage = '' } = req.body;
-    if (!q) return res.status(400).json({ error: 'Query required' });
-
-    const rawQuery = q.trim();
-    const originalQuery = normalizeQuery(rawQuery);
-    const lower = originalQuery.toLowerCase();
+// POST /query/stream, or POST /query with "Accept: text/event-stream", streams
+// the answer as SSE:
+//   event: delta  data: { text }           sanitized text, sentence by sentence
+//   event: done   data: { answer, ... }    final fully sanitized answer
+//   event: error  data: { error, message }
 
-    const userRole = classifyUserRole(lower);
-    const isAboutKyle = /\bkyle\b/i.test(lower);
+function wantsEventStream(req) {
+  return /\btext\/event-stream\b/i.test(req.headers.accept || '');
+}
 
-    // If user clicked an exact KB question suggestion, mark it used
-    const normalizedForSuggestion = originalQuery.trim();
-    const isExactKBQuestion = (knowledgeBase.qaDatabase || []).some(
-      qa => qa.question && qa.question.trim().toLowerCase() === normalizedForSuggestion.toLowerCase()
-    );
-    if (isExactKBQuestion) {
-      markSuggestionUsed(normalizedForSuggestion);
-    }
+function startEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (Render / nginx)
+  });
+  res.flushHeaders();
+}
 
-// ----- INTENT + STAR DETECTION -----
+function sendEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-const { intent: resolvedIntent, star: isSTAR } = resolveIntent(originalQuery, lower);
-let intent = resolvedIntent;
-intent = applyChallengeOverride(intent, lower);
+// ----- INCREMENTAL THIRD-PERSON ENFORCEMENT -----
 
-const isMulti = detectMultiPartQuery(originalQuery);
-const behavioralOrPMCX = isBehavioralOrPMCXQuestion(lower);
+function sanitizeStreamedSentence(chunk) {
+  const trailing = chunk.match(/\s*$/)[0];
+  const body = sanitizePhrases(enforceThirdPersonForKyle(chunk.trimEnd()));
+  return body ? body + trailing : '';
+}
 
-const isConceptQuestion =
-  /\b(what is|what's|define|definition of|explain|how does|difference between|compare|contrast)\b/i.test(
-    lower
-  );
+// Buffers raw model deltas and only releases complete sentences, after the
+// same rewrites sanitizeOutput applies, so first-person text never reaches the
+// client. Boundaries require trailing whitespace, so words are never split.
+// rewrite(chunk), if given, runs on the raw sentences first (grounding).
+function createSentenceStreamer(onText, { rewrite } = {}) {
+  let buffer = '';
+  const boundary = /[.?!]["'”’)]*\s+|\n+/g;
+
+  function emit(chunk) {
+    const raw = rewrite ? rewrite(chunk) : chunk;
+    const text = raw ? sanitizeStreamedSentence(raw) : '';
+    if (text) onText(text);
+  }
 
-// ===== UNIVERSAL EXPERIENCE / BACKGROUND OVERRIDE =====
-// Forces Kyle mode for ALL experience/background questions across ALL technical,
-// operational, and engineering domains (AI, AV, lidar, radar, sensors, data,
-// robotics, pipelines, testing, validation, ML, scripting, APIs, etc.)
+  return {
+    push(delta) {
+      if (!delta) return;
+      buffer += delta;
 
-const experienceIntentRegex =
-  /\b(experience with|your experience|kyle'?s experience|background in|work with|what did kyle do|what has kyle done|skills in|involvement in|hands-on with|used in|worked on)\b/i;
+      let cut = -1;
+      let match;
+      boundary.lastIndex = 0;
+      while ((match = boundary.exec(buffer))) {
+        cut = match.index + match[0].length;
+      }
 
-const techDomainRegex =
-  /\b(ai|artificial intelligence|machine learning|ml|llm|models?|agents?|data|datasets|training data|autonomous|av|autonomy|lidar|radar|camera|sensor|sensor fusion|perception|slam|mapping|localization|validation|testing|test plans|v&v|field testing|runtime|pipelines|retrieval|rag|embedding|vector|node|express|backend|apis?|scripting|robotics|control|planning)\b/i;
+      if (cut > 0) {
+        emit(buffer.slice(0, cut));
+        buffer = buffer.slice(cut);
+      }
+    },
 
-// Trigger Kyle-mode if user is asking about Kyle’s experience across ANY of these domains
-if (
-  (experienceIntentRegex.test(lower) && techDomainRegex.test(lower)) ||
-  /\bkyle\b/.test(lower)
-) {
-  intent = 'kyle';
+    flush() {
+      if (buffer) emit(buffer);
+      buffer = '';
+    }
+  };
 }
 
+// ======================================================================
+// SECTION 8: MAIN QUERY ENDPOINT
+// ======================================================================
 
-    // ----- TECHNICAL OVERRIDE FOR EXTREME OR SPECULATIVE SCENARIOS -----
+async function handleQuery(req, res, { stream = false } = {}) {
+  const startedAt = Date.now();
+  let streamedText = false;
+
+  // What happened to this query, for the query event store (see SECTION 2F).
+  // route: canned | cache | llm | kb-only (out of LLM budget)
+  const queryEvent = { route: 'canned', intent: null, topScore: null, fallback: false, diversified: false };
+  let originalQuery = '';
+
+  function recordQuery(extra) {
+    if (!originalQuery) return;
+    storeQueryEvent(req, {
+      query: redactPII(originalQuery).slice(0, 200),
+      ...queryEvent,
+      latencyMs: Date.now() - startedAt,
+      stream,
+      ...extra
+    });
+  }
 
-    if (
-      (catastrophicSignals.test(lower) || speculativeTechSignals.test(lower)) &&
-      detectTechnicalIntent(lower)
-    ) {
-      intent = 'technical';
-    }
+  try {
+    let { q, lastBotMessage = '' } = req.body;
+    if (!q) return res.status(400).json({ error: 'Query required' });
 
-    // ----- SAFETY / RED-TEAM TRANSFORM -----
+    const starFormat = req.body.starFormat || 'text';
+    if (!STAR_FORMATS.includes(starFormat)) {
+      return res.status(400).json({ error: `starFormat must be one of ${STAR_FORMATS.join(', ')}` });
+    }
 
-    const needsRedTeamSafety = redTeamSignals.test(lower) && detectTechnicalIntent(lower);
+    const rawQuery = q.trim();
+    originalQuery = normalizeQuery(rawQuery);
+    const lower = originalQuery.toLowerCase();
 
-    // ----- EASTER-EGG JOKE HANDLING -----
+    // ----- CONVERSATION HISTORY -----
 
-    const jokeRegex =
-      /\b(joke of the day|daily joke|random joke|surprise me with a joke|tell me a joke)\b/i;
-    if (jokeRegex.test(lower)) {
+    const conversationId = normalizeConversationId(req.body.conversationId);
+    let history = [];
+    if (conversationId) {
       try {
-        const jokeResp = await groq.chat.completions.create({
-          model: 'llama-3.1-8b-instant',
-          messages: [
-            {
-              role: 'system',
-              content:
-                'You are a PG-rated joke bot. Tell exactly one short, light joke (1–3 sentences). Do not mention Kyle, Agent K, or any knowledge bases. Do not ask questions after the joke.'
-            },
-            {
-              role: 'user',
-              content: 'Give a single, light, PG-rated joke.'
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 80
-        });
-
-        const jokeText =
-          jokeResp.choices[0]?.message?.content?.trim() ||
-          'Here is a light one: Why did the computer go to therapy? It had too many unresolved issues.';
-        return res.json({ answer: formatParagraphs(jokeText) });
+        history = await sessionStore.get(conversationId);
       } catch (e) {
-        console.error('Joke easter-egg error:', e);
-        return res.json({
-          answer:
-            'Agent K had trouble fetching a joke. You can still ask about Kyle’s work, experience, or background.'
-        });
+        console.warn('Session store read error, continuing without history:', e.message || e);
       }
     }
+    const hasHistory = history.length > 0;
 
-    // ----- HOSTILE INPUT HANDLING -----
-
-    const hostileRegex =
-      /\b(suck|stupid|dumb|idiot|useless|trash|terrible|awful|horrible|crap|wtf|shit|fuck|fucking|bullshit|bs|garbage|bad ai|you suck)\b/i;
-    if (hostileRegex.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'Agent K is focused on explaining Kyle’s work clearly. Kyle’s background includes autonomous systems validation, structured testing, operations, SaaS workflows, customer success, and applied AI tools. If you share what you want to understand about his experience, the answer can be specific and useful.'
-        )
-      });
+    // Role stored for the conversation: { value, source: 'explicit' | 'detected' }
+    let roleState = null;
+    if (conversationId) {
+      try {
+        roleState = (await sessionStore.getMeta(conversationId)).role || null;
+      } catch (e) {
+        console.warn('Session store read error, re-detecting user role:', e.message || e);
+      }
     }
+    const storedRoleState = roleState;
 
-    // ----- EMOTIONAL SIGNAL HANDLING -----
+    // Per-request diagnostics returned alongside every answer
+    const debugInfo = {};
 
-    const emotionalRegex =
-      /\b(frustrated|frustrating|confused|confusing|annoyed|annoying|overwhelmed|stressed|stressing|lost|stuck|irritated)\b/i;
-    if (emotionalRegex.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'It is understandable for this to feel unclear. Kyle’s work spans autonomous systems, testing, operations, SaaS workflows, and AI tools. If you indicate whether you are interested in his technical depth, his program management approach, his customer-facing work, or his tooling and automation, Agent K can walk through it step by step.'
-        )
-      });
-    }
+    // Which retrieval path grounded the answer, and the KB entries sent as context.
+    // path: canned | technical | strong | weak | fallback | multi (one slot per
+    // sub-question, listed in sources.parts) | none (no KB context)
+    const sources = { path: 'canned', entries: [] };
 
-    // ----- DIRECT "ABOUT KYLE" QUERIES -----
+    // Structured STAR answer (starFormat: json, see SECTION 2D); null if no
+    // complete answer could be produced, absent when the query is not STAR
+    let starAnswer;
 
-    if (
-      /\b(who is kyle|tell me about kyle|what does kyle do|kyle background|kyle experience)\b/i.test(
-        lower
-      )
-    ) {
-      return res.json({
-        answer: sanitizeOutput(
-          'Kyle has experience in autonomous systems validation, field operations, perception testing, structured test execution, and large scale training data programs. He has collaborated across engineering, operations, and product teams to deliver predictable program outcomes. He also has experience in SaaS customer success, technical onboarding, enterprise client workflows, and the development of applied AI tools.'
-        )
+    if (stream) startEventStream(res);
+
+    // Records the exchange in the conversation (if any) and sends the answer
+    async function respond(answer, { remember = true } = {}) {
+      if (conversationId && roleState !== storedRoleState) {
+        try {
+          await sessionStore.setMeta(conversationId, { role: roleState });
+        } catch (e) {
+          console.warn('Session store write error:', e.message || e);
+        }
+      }
+      if (conversationId && remember) {
+        try {
+          await sessionStore.append(conversationId, [
+            { role: 'user', content: originalQuery },
+            { role: 'assistant', content: answer }
+          ]);
+        } catch (e) {
+          console.warn('Session store write error:', e.message || e);
+        }
+      }
+      const role = roleState || { value: 'general', source: 'default' };
+      const payload = conversationId
+        ? { answer, conversationId, role, sources, debug: debugInfo }
+        : { answer, role, sources, debug: debugInfo };
+      if (starAnswer !== undefined) payload.star = starAnswer;
+
+      recordQuery({
+        role: role.value,
+        routeId: debugInfo.route || null,
+        path: sources.path,
+        category: sources.entries.length ? sources.entries[0].category : null,
+        degraded: !!debugInfo.degraded,
+        error: false
       });
+
+      if (stream) {
+        // Canned answers were never streamed; send them as a single delta
+        if (!streamedText) sendEvent(res, 'delta', { text: answer });
+        sendEvent(res, 'done', payload);
+        return res.end();
+      }
+      return res.json(payload);
     }
 
-    // ----- "TELL ME EVERYTHING" QUERIES -----
+    // ----- USER ROLE (EXPLICIT, OR DETECTED ONCE PER CONVERSATION) -----
 
-    const fullInfoQuery =
-      /\b(tell me everything|tell me all you know|everything you know|all info|all information|all you have on kyle|all you know about kyle)\b/i;
-    if (fullInfoQuery.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'Kyle’s background spans autonomous systems validation and field operations, perception and scenario testing, structured test plans, and data focused programs. He has helped align engineering and operations teams, improved testing workflows, and contributed to training data quality. He has also worked in SaaS customer success and onboarding, managing enterprise client workflows, and he has built applied AI tools using Node.js, Express, and external APIs. Follow up questions can go deeper into any of these areas.'
-        )
-      });
-    }
+    const roleCommand = /^\/role\b\s*(.*)$/i.exec(rawQuery);
+    const declaredRole = parseUserRole(roleCommand ? roleCommand[1] : req.body.role);
 
-    // ----- "CAN HE DO THIS ROLE" / CAPABILITY QUERIES -----
+    if (declaredRole === 'auto') {
+      roleState = null;
+    } else if (declaredRole) {
+      roleState = { value: declaredRole, source: 'explicit' };
+    }
 
-    const capabilityQuery =
-      /\b(can he|is he able|is kyle able|can kyle|could he|would he be able|handle this|take this on|perform this role|do this role|could he do it)\b/i;
-    if (capabilityQuery.test(lower)) {
-      const topic = classifyTopic(lower);
-      return res.json({
-        answer: sanitizeOutput(
-          `Based on available information, Kyle has shown that he can take on complex programs in ${topic}. He has worked in ambiguous environments, learned unfamiliar systems quickly, aligned multiple teams, and driven execution to clear outcomes. He tends to combine structured planning with practical iteration so that work stays grounded in real constraints while still moving forward.`
-        )
-      });
+    if (roleCommand) {
+      const choices = `${USER_ROLES.filter(r => r !== 'general').join(', ')}, general, or auto`;
+      let reply;
+      if (!roleCommand[1].trim()) {
+        reply = roleState
+          ? `Answers are tailored for ${USER_ROLE_AUDIENCES[roleState.value]}. Use /role ${choices} to change it.`
+          : `The audience is detected from the conversation. Use /role ${choices} to set it.`;
+      } else if (!declaredRole) {
+        reply = `Unknown role "${roleCommand[1].trim()}". Use /role ${choices}.`;
+      } else if (!conversationId) {
+        // The command is the whole message, so without a session nothing would use it
+        reply =
+          'There is no conversation to remember the role in. Send a conversationId, or pass "role" with each question.';
+      } else {
+        reply = roleState
+          ? `Answers will be tailored for ${USER_ROLE_AUDIENCES[roleState.value]}.`
+          : 'The audience will be detected from the conversation again.';
+      }
+      return respond(reply, { remember: false });
     }
 
-    // ----- COMPENSATION / PAY QUERIES -----
+    // Detect once; "general" is not stored so a later message can still set it
+    if (!roleState) {
+      const detected = resolveLabel('role', lower, classifyUserRole(lower));
+      if (detected !== 'general') roleState = { value: detected, source: 'detected' };
+    }
+    const userRole = roleState ? roleState.value : 'general';
+    debugInfo.classifier = explainClassification(lower);
+    const isAboutKyle = /\bkyle\b/i.test(lower);
 
-    const payQuery =
-      /\b(salary|pay|compensation|comp\b|range|expected pay|pay expectations|comp expectations|salary expectations)\b/i;
-    if (payQuery.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'Kyle’s compensation expectations depend on the scope and seniority of the role, the technical depth, and market norms. For technical program, operations, or project manager roles in advanced technology environments, he aligns with market ranges and prioritizes strong fit, meaningful impact, and long term growth.'
-        )
-      });
+    // If user clicked an exact KB question suggestion, mark it used
+    const normalizedForSuggestion = originalQuery.trim();
+    const isExactKBQuestion = (knowledgeBase.qaDatabase || []).some(
+      qa => qa.question && qa.question.trim().toLowerCase() === normalizedForSuggestion.toLowerCase()
+    );
+    if (isExactKBQuestion) {
+      markSuggestionUsed(normalizedForSuggestion);
     }
 
-    // ----- "WHAT DO YOU KNOW ABOUT HIM" QUERIES -----
+// ----- INTENT + STAR DETECTION -----
 
-    const whatKnow =
-      /\b(what do you know|what all do you know|your knowledge|what info do you have)\b/i;
-    if (whatKnow.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'Available information covers Kyle’s work in autonomous systems, structured testing and validation, operations, SaaS workflows and customer success, and applied AI tools. If you indicate which of these areas is most relevant, Agent K can provide a focused overview.'
-        )
-      });
-    }
+const { intent: resolvedIntent, star: isSTAR } = resolveIntent(originalQuery, lower);
+// STAR questions are always about Kyle; otherwise a confident classifier wins
+let intent = isSTAR ? resolvedIntent : resolveLabel('intent', lower, resolvedIntent);
+intent = applyChallengeOverride(intent, lower);
 
-    // ----- WINS / ACHIEVEMENTS QUERIES -----
+const isMulti = detectMultiPartQuery(originalQuery);
+const behavioralOrPMCX = isBehavioralOrPMCXQuestion(lower);
 
-    const winsQuery =
-      /\b(win|wins|key wins|accomplish|accomplishment|accomplishments|achievement|achievements|results|notable)\b/i;
-    if (winsQuery.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'Some of Kyle’s key wins include leading structured testing programs that improved consistency and reliability, aligning engineering and operations teams around clear execution frameworks, improving scenario and label quality for training data, and building applied AI tools that reduced manual effort for teams. Follow up questions can target specific environments or roles.'
-        )
-      });
-    }
+const isConceptQuestion =
+  /\b(what is|what's|define|definition of|explain|how does|difference between|compare|contrast)\b/i.test(
+    lower
+  );
 
-    // ----- SOP / PROCESS QUERIES -----
+// ===== UNIVERSAL EXPERIENCE / BACKGROUND OVERRIDE =====
+// Forces Kyle mode for ALL experience/background questions across ALL technical,
+// operational, and engineering domains (AI, AV, lidar, radar, sensors, data,
+// robotics, pipelines, testing, validation, ML, scripting, APIs, etc.)
 
-    const sopQuery =
-      /\b(sop\b|sops\b|standard operating|process\b|processes\b|workflow\b|workflows\b|procedure\b|procedures\b)/i;
-    if (sopQuery.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'Kyle has created structured SOPs that define steps, signals, required conditions, and acceptance criteria. These documents reduced execution variance, improved repeatability, and helped cross functional teams align on how testing and operational work should be performed.'
-        )
-      });
-    }
+const experienceIntentRegex =
+  /\b(experience with|your experience|kyle'?s experience|background in|work with|what did kyle do|what has kyle done|skills in|involvement in|hands-on with|used in|worked on)\b/i;
 
-    // ----- WEAKNESS / DEVELOPMENT AREA QUERIES -----
+const techDomainRegex =
+  /\b(ai|artificial intelligence|machine learning|ml|llm|models?|agents?|data|datasets|training data|autonomous|av|autonomy|lidar|radar|camera|sensor|sensor fusion|perception|slam|mapping|localization|validation|testing|test plans|v&v|field testing|runtime|pipelines|retrieval|rag|embedding|vector|node|express|backend|apis?|scripting|robotics|control|planning)\b/i;
 
-    const weaknessQuery =
-      /\b(weakness|weakest|strengths and weaknesses|development areas|areas for development|areas he can improve|improvement areas)\b/i;
+// Trigger Kyle-mode if user is asking about Kyle’s experience across ANY of these domains
+if (
+  (experienceIntentRegex.test(lower) && techDomainRegex.test(lower)) ||
+  /\bkyle\b/.test(lower)
+) {
+  intent = 'kyle';
+}
 
-    if (weaknessQuery.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'Kyle’s development areas are framed in professional terms. He sometimes leans into structure because he values predictable execution, and he has learned to adjust that based on context so that he does not over design. He also sets a high bar for himself and has improved by prioritizing impact and involving stakeholders earlier. These adjustments have strengthened his overall effectiveness.'
-        )
-      });
-    }
 
-    // ----- CHALLENGE / "YOUR MOVE" QUERIES -----
+    // ----- TECHNICAL OVERRIDE FOR EXTREME OR SPECULATIVE SCENARIOS -----
 
-    const challengeTriggers =
-      /\b(your move|same energy|prove it|go on then|what you got|come on)\b/i;
-    if (challengeTriggers.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'Agent K is designed to give clear, factual answers about Kyle’s work. If you share whether you care most about his autonomous systems experience, his program execution, his customer facing work, or his AI tools, the explanation can be specific to that area.'
-        )
-      });
+    if (
+      (catastrophicSignals.test(lower) || speculativeTechSignals.test(lower)) &&
+      detectTechnicalIntent(lower)
+    ) {
+      intent = 'technical';
     }
 
-    // ----- VERY LOW-SIGNAL QUERIES -----
-
-    const vagueLowSignalList = [
-      'huh',
-      'k',
-      'kk',
-      'lol',
-      'lmao',
-      'idk',
-      'iono',
-      'hmmm',
-      'hmm',
-      '???',
-      '??',
-      '?',
-      'uh',
-      'umm'
-    ];
+    // ----- SAFETY / RED-TEAM TRANSFORM -----
 
-    if (vagueLowSignalList.includes(lower) || /^[\s?.!]{1,3}$/.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'The question is not fully clear. If you specify what you want to understand—Kyle’s experience, a technical concept like RL or control, or a specific project—Agent K can give a direct answer.'
-        )
-      });
-    }
+    const needsRedTeamSafety = redTeamSignals.test(lower) && detectTechnicalIntent(lower);
 
-    // ----- AFFIRMATIVE FOLLOW-UPS (GENERIC) -----
+    // ----- DECLARATIVE ROUTES (routes.json, see SECTION 3A) -----
 
-    const affirm = /^(y(es)?|yeah|yep|sure|ok|okay|sounds good|go ahead|mhm)\s*$/i;
-    if (affirm.test(lower)) {
-      return res.json({
-        answer: sanitizeOutput(
-          'More detail can be provided on Kyle’s autonomous systems work, his structured test programs, his SaaS and customer success background, his AI tools, or broader technical concepts like RL, planning, or control. Indicating which thread to continue will make the answer more useful.'
-        )
-      });
+    queryEvent.intent = intent;
+    const { route } = routeQuery(lower, { hasHistory });
+    if (route) {
+      debugInfo.route = route.id;
+      if (!route.passthrough) return respond(await renderRouteResponse(route, lower));
+      if (route.intent) queryEvent.intent = intent = route.intent;
     }
 
     // ----- OFF-TOPIC HANDLING (ONLY WHEN CLEARLY NOT ABOUT KYLE OR TECH) -----
@@ -1251,8 +4670,44 @@ if (
     if (!isAboutKyle && intent !== 'technical') {
       const offTopicResponse = detectOffTopicQuery(originalQuery);
       if (offTopicResponse) {
-        return res.json({ answer: sanitizeOutput(offTopicResponse.response) });
+        return respond(sanitizeOutput(offTopicResponse.response));
+      }
+    }
+
+    // ----- RESPONSE CACHE (FIRST-TURN MODEL ANSWERS, SEE SECTION 2E) -----
+
+    const cachePartition = responseCachePartition({ intent, role: userRole, starFormat });
+    const cacheKey = responseCache && !hasHistory ? responseCacheKey(cachePartition, originalQuery) : null;
+    let cacheVector = null;
+
+    if (cacheKey) {
+      const cached = await lookupResponseCache(cachePartition, cacheKey, originalQuery);
+      // Re-asking right after seeing the cached answer falls through to a fresh,
+      // diversified answer instead of repeating it
+      if (cached.entry && !(lastBotMessage && isHighlySimilarAnswer(lastBotMessage, cached.entry.answer))) {
+        Object.assign(sources, cached.entry.sources);
+        queryEvent.route = 'cache';
+        if (cached.entry.star !== undefined) starAnswer = cached.entry.star;
+        debugInfo.cache = {
+          hit: cached.match,
+          ...(cached.similarity !== undefined ? { similarity: cached.similarity } : {}),
+          ageMs: Date.now() - cached.entry.createdAt
+        };
+        return respond(cached.entry.answer);
       }
+      cacheVector = cached.vector || null;
+      debugInfo.cache = { hit: false };
+    }
+
+    // A diversified answer only makes sense right after the one it avoids, and a
+    // degraded one (LLM budget shed) should not outlive the provider's recovery
+    function cacheResponse(answer) {
+      if (!cacheKey || queryEvent.diversified || debugInfo.degraded) return;
+      storeResponseCache(cachePartition, cacheKey, originalQuery, cacheVector, {
+        answer,
+        sources: structuredClone(sources),
+        ...(starAnswer !== undefined ? { star: starAnswer } : {})
+      });
     }
 
     // ----- HYBRID RETRIEVAL (KB) -----
@@ -1260,9 +4715,17 @@ if (
     let relevantQAs = [];
     let topScore = 0;
 
+    // Short follow-ups ("tell me more about the second one") carry little signal
+    // on their own, so retrieve against the previous user turn as well
+    const lastUserTurn = [...history].reverse().find(t => t.role === 'user');
+    const retrievalQuery =
+      lastUserTurn && originalQuery.split(/\s+/).length <= 8
+        ? `${lastUserTurn.content} ${originalQuery}`
+        : originalQuery;
+
     if (intent !== 'technical') {
       try {
-        relevantQAs = await hybridSearchKnowledgeBase(originalQuery, 3); // Reduced from 4 to 3
+        relevantQAs = await hybridSearchKnowledgeBase(retrievalQuery, 3); // Reduced from 4 to 3
 
         // If this is a behavioral / PM-CX style question, boost KB entries
         if (relevantQAs.length && behavioralOrPMCX) {
@@ -1301,16 +4764,17 @@ if (
       }
 
       console.log(
-        `Query: "${originalQuery.substring(0, 50)}${originalQuery.length > 50 ? '...' : ''}"`
+        `Query: "${queryForLog(req, originalQuery)}"`
       );
       console.log(`Found ${relevantQAs.length} hybrid relevant Q&As (topScore=${topScore})`);
+      queryEvent.topScore = Number(topScore.toFixed(3));
     }
 
     const STRONG_THRESHOLD = 0.9; // direct KB answer
     const WEAK_THRESHOLD = 0.3; // low confidence (fallback trigger)
 
     const tokenCount = originalQuery.split(/\s+/).filter(Boolean).length;
-    const isShortAmbiguous = !relevantQAs.length && tokenCount <= 3;
+    const isShortAmbiguous = !hasHistory && !relevantQAs.length && tokenCount <= 3;
     const isMeaningfulQuery = tokenCount >= 3 && !/^[\W_]+$/.test(originalQuery);
 
     const hasAnyKB = knowledgeBase.qaDatabase && knowledgeBase.qaDatabase.length > 0;
@@ -1319,6 +4783,7 @@ if (
 
     const fallbackWasUsed =
       hasAnyKB && weakOrNoMatch && isMeaningfulQuery && intent !== 'technical';
+    queryEvent.fallback = fallbackWasUsed;
 
 // ----- DIRECT STRONG KB HIT (KYLE / MIXED) -----
 // Do not short-circuit on KB hits anymore.
@@ -1333,26 +4798,71 @@ const hasStrongKBHit =
 // ----- BUILD CONTEXT FOR LLM (KB OR SYNTHESIZED SAMPLE) -----
 
 let contextText = '';
+let contextEntries = []; // KB entries behind contextText, for the grounding check
+sources.path = intent === 'technical' ? 'technical' : 'none';
+
+const structuredStar = isSTAR && starFormat === 'json' && intent !== 'technical';
+
+// Multi-part questions: one retrieval and one small context slot per sub-question
+const subQuestions =
+  isMulti && intent !== 'technical' && !structuredStar ? splitSubQuestions(originalQuery) : [];
+let partSlots = [];
+if (subQuestions.length > 1) {
+  try {
+    partSlots = await retrieveSubQuestionSlots(subQuestions, {
+      perPart: MULTIPART_SLOT_ENTRIES,
+      minScore: WEAK_THRESHOLD
+    });
+  } catch (e) {
+    console.warn('Per-part retrieval error, using whole-query context:', e.message || e);
+  }
+}
+const hasPartSlots = partSlots.some(slot => slot.entries.length);
 
 if (intent !== 'technical') {
-  if (relevantQAs.length && topScore >= WEAK_THRESHOLD) {
+  if (hasPartSlots) {
+    // Each slot gets an equal share of the context budget so the safety cap
+    // below never cuts a later part off entirely
+    const slotBudget = Math.floor(5600 / partSlots.length);
+    partSlots.forEach((slot, i) => {
+      let slotText = `\n\nRELEVANT BACKGROUND FOR PART ${i + 1} ("${slot.question}", PARAPHRASE ONLY):\n\n`;
+      slot.entries.forEach((qa, idx) => {
+        slotText += formatContextEntry(qa, idx);
+      });
+      if (!slot.entries.length) slotText += 'No matching entry; use the background summary.\n\n';
+      contextText +=
+        slotText.length > slotBudget ? `${slotText.substring(0, slotBudget)}\n... [truncated for length]\n` : slotText;
+    });
+    contextEntries = partSlots.flatMap(slot => slot.entries);
+    sources.path = 'multi';
+    sources.entries = contextEntries.map(qa => toSourceEntry(qa, qa.score));
+    sources.parts = partSlots.map(slot => ({
+      question: slot.question,
+      entries: slot.entries.map(qa => toSourceEntry(qa, qa.score))
+    }));
+
+  } else if (relevantQAs.length && topScore >= WEAK_THRESHOLD) {
     // Strong or medium match: send multiple KB entries to LLM as context
     const maxItems = 2; // Strict limit to prevent rate limit spikes
 
     contextText = '\n\nRELEVANT BACKGROUND (PARAPHRASE ONLY):\n\n';
-    relevantQAs.slice(0, maxItems).forEach((qa, idx) => {
-      contextText += `${idx + 1}. Question: ${qa.question}\n   Answer: ${qa.answer}\n\n`;
+    contextEntries = relevantQAs.slice(0, maxItems);
+    contextEntries.forEach((qa, idx) => {
+      contextText += formatContextEntry(qa, idx);
     });
+    sources.path = hasStrongKBHit ? 'strong' : 'weak';
+    sources.entries = relevantQAs.slice(0, maxItems).map(qa => toSourceEntry(qa, qa.score));
 
   } else if (fallbackWasUsed) {
     // Weak or no match but meaningful question → synthesized sample
-    const total = knowledgeBase.qaDatabase.length;
+    const answerable = knowledgeBase.qaDatabase.filter(qa => entryAnswer(qa));
+    const total = answerable.length;
     const sampleSize = Math.min(3, total);
     const step = Math.max(1, Math.floor(total / sampleSize));
     const contextSample = [];
 
     for (let i = 0; i < total && contextSample.length < sampleSize; i += step) {
-      contextSample.push(knowledgeBase.qaDatabase[i]);
+      contextSample.push(answerable[i]);
     }
 
     console.log(
@@ -1362,12 +4872,26 @@ if (intent !== 'technical') {
     );
 
     contextText = '\n\nRELEVANT BACKGROUND (SYNTHESIZED SAMPLE):\n\n';
+    contextEntries = contextSample;
     contextSample.forEach((qa, idx) => {
-      contextText += `${idx + 1}. Question: ${qa.question}\n   Answer: ${qa.answer}\n\n`;
+      contextText += formatContextEntry(qa, idx);
     });
+    // Sample entries were not retrieved for this query, so they carry no score
+    sources.path = 'fallback';
+    sources.entries = contextSample.map(qa => toSourceEntry(qa));
   }
 }
 
+// Structured STAR: the story the answer is based on must be in the context
+const starSource = structuredStar ? relevantQAs.find(isStarEntry) || null : null;
+
+if (starSource && !contextEntries.includes(starSource)) {
+  if (!contextText) contextText = '\n\nRELEVANT BACKGROUND (PARAPHRASE ONLY):\n\n';
+  contextText += formatContextEntry(starSource, contextEntries.length);
+  contextEntries = [...contextEntries, starSource];
+  sources.entries.push(toSourceEntry(starSource, starSource.score));
+}
+
 // *** SAFETY CAP ***
 // Hard truncate context to ~6000 chars (~1500 tokens) to guarantee we never hit 6000 TPM limit
 if (contextText.length > 6000) {
@@ -1439,6 +4963,16 @@ The question is short and under specified, and it does not strongly match existi
 Begin your reply with: "The question is not fully clear, but based on Kyle's experience in ${topic}, he has..." and then continue with the closest useful context about Kyle that could reasonably match the query.
 
 User query: ${originalQuery}`;
+      } else if (subQuestions.length > 1) {
+        userMessage = `[MULTI PART QUESTION]
+${originalQuery}
+
+The question has ${subQuestions.length} parts:
+${subQuestions.map((part, i) => `${i + 1}) ${part}`).join('\n')}
+
+Answer each part in its own section, in this order. Start each section with its label on a line of its own, exactly as listed above, then answer that part${
+          hasPartSlots ? ' from the RELEVANT BACKGROUND FOR PART section with the same number' : ''
+        }.${isSTAR ? ' Use Situation, Task, Action, Result for any part that asks for an example.' : ''}`;
       } else if (isSTAR && isMulti) {
         userMessage = `[STAR FORMAT + MULTI PART]
 ${originalQuery}
@@ -1464,6 +4998,14 @@ User question: ${originalQuery}`;
       }
     }
 
+    // ----- BEHAVIOR RULES (SELECTED PER REQUEST) -----
+
+    const behaviorRules =
+      intent === 'technical'
+        ? { text: '', applied: [], tokens: 0 }
+        : selectBehaviorRules(originalQuery, { intent, isSTAR });
+    debugInfo.behaviorRules = behaviorRules.applied;
+
     // ----- SYSTEM PROMPTS (TECHNICAL / KYLE) -----
 
     const technicalSystemPrompt = `You are a precise technical explainer.
@@ -1534,17 +5076,12 @@ HOW TO USE RELEVANT BACKGROUND:
 - If no RELEVANT BACKGROUND section is present, rely on the background summary.
 
 BACKGROUND SUMMARY:
-Kyle’s experience spans:
-- autonomous systems validation and field operations,
-- perception behavior analysis and scenario testing,
-- structured testing programs and large scale training data efforts,
-- SaaS customer success, technical onboarding, and enterprise client workflows,
-- applied AI tools, scripting, and automation using Node.js, APIs, and related technologies.
+${KYLE_BACKGROUND_SUMMARY}
 
 ${contextText}
 
 BEHAVIOR RULES FROM KNOWLEDGE BASE:
-${global.KB_BEHAVIOR_RULES || ''}
+${behaviorRules.text}
 
 FINAL INSTRUCTIONS:
 - Answer the user’s question directly and completely.
@@ -1637,11 +5174,13 @@ ${thoughtfulnessBooster}
     
     // ----- LLM WRAPPER (ANTI-REPETITION AWARE) -----
 
-    async function getLLMAnswer(userMsg) {
-      const response = await groq.chat.completions.create({
-        model: 'llama-3.1-8b-instant',
+    const historyMessages = buildHistoryMessages(history);
+
+    function buildCompletionRequest(userMsg) {
+      return {
         messages: [
           { role: 'system', content: systemPrompt },
+          ...historyMessages,
           { role: 'user', content: userMsg }
         ],
         temperature:
@@ -1653,65 +5192,803 @@ ${thoughtfulnessBooster}
             ? 0.25
             : 0.4,
         max_tokens: isSTAR ? 1500 : 1200
+      };
+    }
+
+    async function getLLMAnswer(userMsg) {
+      return llmChat(buildCompletionRequest(userMsg));
+    }
+
+    // Extra passes (diversification, grounding rewrite, STAR re-prompts) are
+    // skipped rather than failing the request when the LLM budget runs out
+    async function getOptionalLLMAnswer(userMsg) {
+      try {
+        return await getLLMAnswer(userMsg);
+      } catch (err) {
+        if (!isLLMBudgetError(err)) throw err;
+        debugInfo.degraded = { reason: 'llm-budget', retryAfterMs: err.retryAfterMs };
+        return '';
+      }
+    }
+
+    // KB entries retrieved for this question (the fallback sample is not an answer)
+    function kbOnlyAnswer() {
+      const retrieved = ['strong', 'weak', 'multi'].includes(sources.path) ? contextEntries : [];
+      return buildKbOnlyAnswer(retrieved) || (intent === 'technical' ? LLM_BUSY_ANSWER : KYLE_FALLBACK_ANSWER);
+    }
+
+    // Deltas cannot be taken back, so unsupported claims are softened sentence
+    // by sentence before they are sent, the same way the final answer is
+    const groundStreamedChunk =
+      intent !== 'technical' && (GROUNDING_MODE === 'soften' || GROUNDING_MODE === 'regenerate')
+        ? chunk => {
+            const softened = softenUnsupportedClaims(verifyGrounding(chunk, contextEntries)).text;
+            return softened ? softened + chunk.match(/\s*$/)[0] : '';
+          }
+        : null;
+
+    // Streams sanitized sentences to the client while collecting the raw text
+    async function streamLLMAnswer(userMsg) {
+      // Stop generating (and spending tokens) if the client goes away
+      const abort = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) abort.abort();
       });
 
-      return response.choices[0]?.message?.content?.trim() || '';
+      const deltas = await llmChatStream(buildCompletionRequest(userMsg), { signal: abort.signal });
+
+      const streamer = createSentenceStreamer(
+        text => {
+          streamedText = true;
+          sendEvent(res, 'delta', { text });
+        },
+        { rewrite: groundStreamedChunk }
+      );
+
+      let raw = '';
+      for await (const delta of deltas) {
+        raw += delta;
+        streamer.push(delta);
+      }
+      streamer.flush();
+
+      return raw.trim();
+    }
+
+    queryEvent.route = 'llm';
+
+    // Structured STAR: JSON fields instead of labeled free text (see SECTION 2D)
+    if (structuredStar) {
+      const generated = await generateStructuredStar(getLLMAnswer, userMessage);
+      let star = generated.missing.length ? null : generated.star;
+      let origin = 'llm';
+      if (generated.shed) {
+        console.warn(`Structured STAR without the model: ${generated.shed.message}`);
+        debugInfo.degraded = { reason: 'llm-budget', retryAfterMs: generated.shed.retryAfterMs };
+      }
+
+      // Model never filled every part: fall back to a KB story already split into sections
+      const kbStar = starSource ? parseLabeledStar(entryAnswer(starSource)) : null;
+      if (!star && kbStar && !missingStarParts(kbStar).length) {
+        star = kbStar;
+        origin = 'kb';
+      }
+
+      debugInfo.star = { attempts: generated.attempts, missing: generated.missing, origin: star ? origin : null };
+
+      // Nothing from the model made it into the answer
+      if (generated.shed && (star ? origin === 'kb' : !generated.raw)) queryEvent.route = 'kb-only';
+
+      if (!star) {
+        starAnswer = null;
+        return respond(sanitizeOutput(generated.raw || kbOnlyAnswer()));
+      }
+
+      if (GROUNDING_MODE !== 'off') {
+        const checked = groundStarAnswer(star, contextEntries);
+        star = checked.star;
+        debugInfo.grounding = checked.grounding;
+      }
+
+      const fields = Object.fromEntries(STAR_PARTS.map(part => [part, sanitizeOutput(star[part])]));
+      starAnswer = { ...fields, source: starSource ? toSourceEntry(starSource, starSource.score) : null, origin };
+      const starText = renderStarText(fields);
+      cacheResponse(starText);
+      return respond(starText);
     }
 
     // First pass from model
-    let answerRaw = await getLLMAnswer(userMessage);
+    // Out of LLM budget: answer from the KB alone (see TOKEN BUDGET, SECTION 1A)
+    let answerRaw;
+    try {
+      answerRaw = stream ? await streamLLMAnswer(userMessage) : await getLLMAnswer(userMessage);
+    } catch (err) {
+      if (!isLLMBudgetError(err)) throw err;
+      console.warn(`Answering from the KB only: ${err.message}`);
+      debugInfo.degraded = { reason: 'llm-budget', retryAfterMs: err.retryAfterMs };
+      queryEvent.route = 'kb-only';
+      answerRaw = kbOnlyAnswer();
+    }
+    const modelAnswered = !debugInfo.degraded && !!answerRaw;
 
    // If model returned nothing, fall back to a rich synthesized answer
 if (!answerRaw) {
+  queryEvent.fallback = true;
   if (intent === 'technical') {
     answerRaw =
       'Given the question, the most useful response is to outline a robust systems-oriented approach. Start by clarifying assumptions, define the failure modes or objectives, then design an architecture involving sensing, estimation, planning or control, and verification loops that can be tested and monitored. From there, layer in mitigation strategies, fallback behaviors, and interfaces so the system behaves predictably even under edge conditions.';
   } else {
-    answerRaw =
-      "Kyle’s background spans autonomous systems validation, field operations, perception behavior analysis, scenario testing, and large-scale training data programs. He has led structured test plans, investigations into critical safety issues, and delivery of datasets that improved perception performance and expanded operating domains. He has also worked in SaaS customer success and technical onboarding, translating complex systems into workflows for enterprise clients, and he has built applied AI tools with Node.js, Express, APIs, and automation. When someone asks about his experience, the answer integrates these threads to show how he bridges engineering detail with reliable execution.";
+    answerRaw = KYLE_FALLBACK_ANSWER;
   }
 }
 
-    // Second pass: anti-repetition compared to lastBotMessage (for all intents)
-    if (lastBotMessage && answerRaw && isHighlySimilarAnswer(lastBotMessage, answerRaw)) {
-      console.log('High similarity detected with lastBotMessage, requesting diversified answer.');
+    // Second pass: anti-repetition compared to recent answers (for all intents)
+    const previousAnswers = history.filter(t => t.role === 'assistant').map(t => t.content);
+    if (lastBotMessage && !previousAnswers.includes(lastBotMessage)) {
+      previousAnswers.push(lastBotMessage);
+    }
+
+    if (previousAnswers.length && answerRaw && isHighlySimilarAnswer(previousAnswers, answerRaw)) {
+      console.log('High similarity detected with a previous answer, requesting diversified answer.');
+      queryEvent.diversified = true;
 
+      const similarAnswer = findMostSimilarAnswer(previousAnswers, answerRaw);
       const diversificationUserMessage = `${userMessage}
 
-The previous answer Agent K gave in this conversation was:
-"${lastBotMessage}"
+A previous answer Agent K gave in this conversation was:
+"${similarAnswer}"
 
 Provide a new answer that:
 - does NOT repeat the same sentences or phrasing,
 - surfaces different aspects, examples, or angles,
 - still directly addresses the user’s current question.`;
 
-      const altRaw = await getLLMAnswer(diversificationUserMessage);
+      const altRaw = await getOptionalLLMAnswer(diversificationUserMessage);
 
-      if (altRaw && !isHighlySimilarAnswer(lastBotMessage, altRaw)) {
+      if (altRaw && !isHighlySimilarAnswer(previousAnswers, altRaw)) {
         answerRaw = altRaw;
       }
     }
 
-    // Final sanitize + send
+    // Third pass: grounding check on Kyle-mode answers (see SECTION 2C)
+    if (intent !== 'technical' && GROUNDING_MODE !== 'off') {
+      let report = verifyGrounding(answerRaw, contextEntries);
+      const grounding = { mode: GROUNDING_MODE, status: 'grounded', regenerated: false };
+
+      if (report.unsupported.length && GROUNDING_MODE === 'regenerate') {
+        console.log(`Unsupported claims in answer (${report.unsupported.length}), requesting grounded rewrite.`);
+
+        const groundingUserMessage = `${userMessage}
+
+GROUNDING CORRECTION:
+A draft answer stated details that are not in the background material:
+${report.unsupported.map(c => `- "${c.text}" (${c.type})`).join('\n')}
+
+Rewrite the answer using only facts from the RELEVANT BACKGROUND and the background summary. Do not state numbers, durations, employers, or tools unless they appear there; describe scope and impact qualitatively instead.`;
+
+        const altRaw = await getOptionalLLMAnswer(groundingUserMessage);
+        const altReport = altRaw ? verifyGrounding(altRaw, contextEntries) : null;
+
+        if (altReport && altReport.unsupported.length < report.unsupported.length) {
+          answerRaw = altRaw;
+          report = altReport;
+          grounding.regenerated = true;
+          grounding.status = 'regenerated';
+        }
+      }
+
+      grounding.claims = report.claims.length;
+      grounding.unsupported = report.unsupported;
+
+      if (report.unsupported.length) {
+        if (GROUNDING_MODE === 'flag') {
+          grounding.status = 'flagged';
+        } else {
+          const softened = softenUnsupportedClaims(report);
+          grounding.removedSentences = softened.removed;
+          grounding.status = softened.text ? 'softened' : 'replaced';
+          answerRaw = softened.text || KYLE_FALLBACK_ANSWER;
+        }
+      }
+
+      debugInfo.grounding = grounding;
+    }
+
+    // Final sanitize + send. When streaming, the done event carries this
+    // answer, which supersedes the deltas (including a diversified retry).
     const answer = sanitizeOutput(answerRaw);
-    res.json({ answer });
+    if (subQuestions.length > 1) {
+      debugInfo.multiPart = {
+        parts: subQuestions,
+        labeled: subQuestions.every((part, i) => answer.includes(`${i + 1}) ${part}`))
+      };
+    }
+    if (modelAnswered) cacheResponse(answer);
+    return respond(answer);
   } catch (err) {
     console.error('Error:', err);
-    res.status(500).json({
+    recordQuery({ error: true });
+    const error = {
       error: 'Temporary issue',
       message:
         process.env.NODE_ENV === 'development'
           ? err.message
           : 'Agent K did not receive a clear response from the model. Can you try rephrasing the question?'
+    };
+
+    if (res.headersSent) {
+      sendEvent(res, 'error', error);
+      return res.end();
+    }
+    res.status(500).json(error);
+  }
+}
+
+app.post('/query', (req, res) => handleQuery(req, res, { stream: wantsEventStream(req) }));
+app.post('/query/stream', (req, res) => handleQuery(req, res, { stream: true }));
+
+// ======================================================================
+// SECTION 8A: JOB-DESCRIPTION FIT ANALYSIS
+// ======================================================================
+
+// POST /fit { jobDescription } pulls the requirements out of a pasted job
+// description, looks each one up in the KB (hybrid search), rates the evidence
+// and returns the gaps plus a short third-person narrative for recruiters.
+
+const FIT_MAX_CHARS = Number(process.env.FIT_MAX_CHARS) || 20000;
+const FIT_MAX_REQUIREMENTS = Number(process.env.FIT_MAX_REQUIREMENTS) || 15;
+const FIT_STRONG_SCORE = Number(process.env.FIT_STRONG_SCORE) || 0.6;
+const FIT_PARTIAL_SCORE = Number(process.env.FIT_PARTIAL_SCORE) || 0.45;
+
+// Deflection and chat-behavior entries match almost anything and prove nothing
+const FIT_EXCLUDED_CATEGORIES = new Set([
+  'Troll Shield Pro',
+  'Off Topic / Redirection',
+  'Deflection & Redirect',
+  'Chat Behavior',
+  'Response Guidelines'
+]);
+
+// ----- REQUIREMENT EXTRACTION -----
+
+const FIT_SECTION_HEADINGS = [
+  {
+    kind: 'skip',
+    re: /^(about( us| the (company|team|role))?|who we are|benefits|perks|what we offer|compensation|salary|pay range|equal opportunity|eeo|our (mission|values)|why join|how to apply)\b/i
+  },
+  {
+    kind: 'preferred',
+    re: /^(nice[- ]to[- ]haves?|preferred( qualifications| skills)?|bonus( points)?|pluses|desired( skills)?)\b/i
+  },
+  {
+    kind: 'required',
+    re: /^(requirements|qualifications|minimum qualifications|basic qualifications|what you('ll| will)? (need|bring)|who you are|must[- ]haves?|skills|responsibilities|key responsibilities|what you('ll| will)? do|the role|duties)\b/i
+  }
+];
+
+const FIT_BOILERPLATE = /\b(equal opportunity|benefits|401k|insurance|paid time off|pto|visa sponsorship|apply now|salary range|equity package)\b/i;
+const FIT_PREFERRED_CUE = /\b(preferred|a plus|nice to have|bonus|ideally)\b/i;
+const FIT_REQUIREMENT_CUE =
+  /\b(experience|ability|able to|proficien\w*|knowledge|familiar\w*|years|degree|must|strong|skills?|you will|responsible|own|lead|manage|drive|build)\b/i;
+const BULLET = /^\s*(?:[-*•·▪◦]|\d+[.)])\s+/;
+
+function detectFitHeading(line) {
+  const text = line.trim().replace(/:$/, '');
+  if (BULLET.test(line) || !text || text.split(/\s+/).length > 6) return null;
+  const heading = FIT_SECTION_HEADINGS.find(h => h.re.test(text));
+  return heading ? heading.kind : null;
+}
+
+function extractRequirements(jobDescription) {
+  const lines = jobDescription.split(/\r?\n/);
+  const hasBullets = lines.some(line => BULLET.test(line));
+  const seen = new Set();
+  const out = [];
+  let section = null;
+
+  const add = (text, kind) => {
+    const clean = text.replace(BULLET, '').replace(/\s+/g, ' ').trim().replace(/[;,]$/, '');
+    const key = clean.toLowerCase();
+    if (clean.split(/\s+/).length < 3 || FIT_BOILERPLATE.test(clean) || seen.has(key)) return;
+    seen.add(key);
+    out.push({
+      text: clean.length > 300 ? `${clean.slice(0, 297)}...` : clean,
+      kind: FIT_PREFERRED_CUE.test(clean) ? 'preferred' : kind
+    });
+  };
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const heading = detectFitHeading(line);
+    if (heading) {
+      section = heading;
+      continue;
+    }
+    if (section === 'skip') continue;
+
+    if (hasBullets) {
+      // Bulleted JDs: bullets anywhere, plus any line inside a requirements section
+      if (BULLET.test(line) || section) add(line, section || 'required');
+    } else {
+      // Prose JDs: sentences that read like a requirement
+      for (const sentence of splitSentences(line.trim())) {
+        if (FIT_REQUIREMENT_CUE.test(sentence)) add(sentence, section || 'required');
+      }
+    }
+  }
+
+  return out.slice(0, FIT_MAX_REQUIREMENTS);
+}
+
+// First line, when it looks like a job title rather than prose
+function extractJobTitle(jobDescription) {
+  const first = jobDescription.split(/\r?\n/).find(line => line.trim()) || '';
+  const text = first.trim();
+  return text && !BULLET.test(text) && !detectFitHeading(text) && text.split(/\s+/).length <= 12
+    ? text
+    : null;
+}
+
+// ----- ASSESSMENT -----
+
+// Hybrid scores are relative (the best keyword hit always normalizes to 1), so
+// evidence is rated by how much of the requirement an entry actually covers:
+// the idf-weighted share of its terms found in the entry. Rare terms ("FPGA")
+// dominate; generic job-ad words ("experience", "strong") barely count.
+function requirementCoverage(requirementTerms, qa) {
+  const entryTerms = new Set(
+    analyzeText(Object.keys(BM25_FIELD_BOOSTS).map(field => entryFieldText(qa, field)).join(' '))
+  );
+  let covered = 0;
+  let total = 0;
+  for (const term of requirementTerms) {
+    const weight = kbSearchIndex.idf(term);
+    total += weight;
+    if (entryTerms.has(term)) covered += weight;
+  }
+  return total ? covered / total : 0;
+}
+
+// "autonomous vehicles, robotics or ADAS" is met by any one of the options, so
+// the best-covered option is averaged in with the whole requirement
+function requirementAlternatives(text) {
+  if (!/\bor\b/i.test(text)) return [];
+  return text
+    .split(/,\s*(?:or\s+)?|\s+or\s+/i)
+    .map(part => new Set(analyzeText(part)))
+    .filter(terms => terms.size);
+}
+
+function requirementScore(requirement, qa) {
+  const whole = requirementCoverage(requirement.terms, qa);
+  if (!requirement.alternatives.length) return whole;
+  const best = Math.max(...requirement.alternatives.map(terms => requirementCoverage(terms, qa)));
+  return Math.max(whole, (whole + best) / 2);
+}
+
+async function assessRequirement(requirement) {
+  const parsed = {
+    terms: new Set(analyzeText(requirement.text)),
+    alternatives: requirementAlternatives(requirement.text)
+  };
+  const matches = (await hybridSearchKnowledgeBase(requirement.text, 8))
+    .filter(qa => !FIT_EXCLUDED_CATEGORIES.has(qa.category))
+    .map(qa => ({ ...qa, score: requirementScore(parsed, qa) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3);
+
+  const top = matches.length ? matches[0].score : 0;
+  const strength = top >= FIT_STRONG_SCORE ? 'strong' : top >= FIT_PARTIAL_SCORE ? 'partial' : 'gap';
+  const evidence = strength === 'gap' ? [] : matches.filter(qa => qa.score >= FIT_PARTIAL_SCORE);
+
+  return {
+    requirement: requirement.text,
+    kind: requirement.kind,
+    strength,
+    score: Number(top.toFixed(3)),
+    evidence,
+    sources: evidence.map(qa => toSourceEntry(qa, qa.score))
+  };
+}
+
+// Required requirements count fully, preferred ones half
+function summarizeFit(assessments) {
+  const value = { strong: 1, partial: 0.5, gap: 0 };
+  let weighted = 0;
+  let weights = 0;
+  for (const a of assessments) {
+    const w = a.kind === 'preferred' ? 0.5 : 1;
+    weighted += w * value[a.strength];
+    weights += w;
+  }
+  const score = weights ? weighted / weights : 0;
+  const count = strength => assessments.filter(a => a.strength === strength).length;
+
+  return {
+    requirements: assessments.length,
+    strong: count('strong'),
+    partial: count('partial'),
+    gaps: count('gap'),
+    score: Number(score.toFixed(2)),
+    rating: score >= 0.75 ? 'strong' : score >= 0.5 ? 'moderate' : 'limited'
+  };
+}
+
+// ----- NARRATIVE -----
+
+function buildTemplateFitNarrative(title, assessments, summary) {
+  const list = items => items.map(a => `“${a.requirement.replace(/\.$/, '')}”`).join(', ');
+  const strong = assessments.filter(a => a.strength === 'strong');
+  const partial = assessments.filter(a => a.strength === 'partial');
+  const gaps = assessments.filter(a => a.strength === 'gap');
+
+  const parts = [
+    `For ${title ? `the ${title} role` : 'this role'}, Kyle’s background shows strong evidence for ${summary.strong} of ${summary.requirements} requirements${strong.length ? `, including ${list(strong.slice(0, 4))}` : ''}.`
+  ];
+  if (partial.length) parts.push(`There is related but less direct experience for ${list(partial.slice(0, 4))}.`);
+  if (gaps.length) parts.push(`The available information does not cover ${list(gaps.slice(0, 4))}, so those are worth asking Kyle about directly.`);
+  return parts.join('\n\n');
+}
+
+async function writeFitNarrative(title, assessments, summary) {
+  const entries = [...new Map(assessments.flatMap(a => a.evidence).map(qa => [qa.id || entryQuestion(qa), qa])).values()];
+
+  let evidenceText = entries.map((qa, idx) => formatContextEntry(qa, idx)).join('');
+  if (evidenceText.length > 6000) evidenceText = evidenceText.substring(0, 6000) + '\n... [truncated for length]';
+
+  const report = assessments
+    .map(a => `- [${a.strength.toUpperCase()}${a.kind === 'preferred' ? ', preferred' : ''}] ${a.requirement}`)
+    .join('\n');
+
+  const raw = await llmChat({
+    messages: [
+      {
+        role: 'system',
+        content: `You are Agent K, an AI assistant that represents Kyle’s professional background to recruiters and hiring managers.
+Write a fit summary for a job description in 2 or 3 short paragraphs, always in the third person for Kyle.
+- Lead with the strongest matches, then the partial ones, then state the gaps plainly without apologizing.
+- Use only the EVIDENCE below. Do not add numbers, employers, durations, or tools that are not in it.
+- Do not mention ratings, scores, or that you were given a report.
+
+EVIDENCE:
+${evidenceText || '(none)'}`
+      },
+      {
+        role: 'user',
+        content: `Role: ${title || 'not specified'}
+Overall fit: ${summary.rating} (${summary.strong} strong, ${summary.partial} partial, ${summary.gaps} gaps)
+
+Requirements:
+${report}`
+      }
+    ],
+    temperature: 0.3,
+    max_tokens: 600
+  });
+
+  if (!raw) return null;
+  if (GROUNDING_MODE === 'off' || GROUNDING_MODE === 'flag') return { text: raw, grounding: null };
+
+  const check = verifyGrounding(raw, entries);
+  if (!check.unsupported.length) return { text: raw, grounding: { status: 'grounded', unsupported: [] } };
+  const softened = softenUnsupportedClaims(check);
+  return softened.text
+    ? { text: softened.text, grounding: { status: 'softened', unsupported: check.unsupported } }
+    : null;
+}
+
+// ----- ENDPOINT -----
+
+app.post('/fit', async (req, res) => {
+  const body = req.body || {};
+  const jobDescription = [body.jobDescription, body.jd, body.text].find(v => typeof v === 'string');
+
+  if (!jobDescription || !jobDescription.trim()) {
+    return res.status(400).json({ error: 'jobDescription required' });
+  }
+  if (jobDescription.length > FIT_MAX_CHARS) {
+    return res.status(413).json({ error: `jobDescription exceeds ${FIT_MAX_CHARS} characters` });
+  }
+
+  const requirements = extractRequirements(jobDescription);
+  if (!requirements.length) {
+    return res.status(422).json({ error: 'No requirements found in the job description' });
+  }
+
+  try {
+    const title = typeof body.title === 'string' && body.title.trim() ? body.title.trim() : extractJobTitle(jobDescription);
+
+    const assessments = [];
+    for (const requirement of requirements) {
+      assessments.push(await assessRequirement(requirement));
+    }
+    const summary = summarizeFit(assessments);
+
+    let narrative = null;
+    try {
+      narrative = await writeFitNarrative(title, assessments, summary);
+    } catch (e) {
+      console.warn('Fit narrative generation failed, using template:', e.message || e);
+    }
+
+    res.json({
+      title,
+      kbVersion,
+      summary,
+      requirements: assessments.map(({ evidence, ...a }) => a),
+      gaps: assessments.filter(a => a.strength === 'gap').map(a => a.requirement),
+      narrative: sanitizeOutput(
+        narrative ? narrative.text : buildTemplateFitNarrative(title, assessments, summary)
+      ),
+      narrativeSource: narrative ? 'llm' : 'template',
+      ...(narrative && narrative.grounding ? { grounding: narrative.grounding } : {})
+    });
+  } catch (err) {
+    console.error('Fit analysis error:', err);
+    res.status(500).json({
+      error: 'Temporary issue',
+      message:
+        process.env.NODE_ENV === 'development' ? err.message : 'Agent K could not complete the fit analysis.'
     });
   }
 });
 
 // ======================================================================
-// SECTION 9: SERVER START
+// SECTION 8B: TAILORED SUMMARY (RESUME-STYLE)
 // ======================================================================
 
-app.listen(PORT, () => {
-  console.log(`Agent K live on port ${PORT}`);
+// POST /summary { role, format } builds a role-tailored professional summary,
+// key bullets and a STAR-story shortlist from selected KB categories. Bullets
+// and stories are lifted from KB entries (not generated), so each one carries
+// the ids it came from; only the summary paragraph is written by the model.
+
+const SUMMARY_BULLET_CATEGORIES = process.env.SUMMARY_BULLET_CATEGORIES
+  ? JSON.parse(process.env.SUMMARY_BULLET_CATEGORIES)
+  : [
+      'Core Strengths',
+      'AI Portfolio',
+      'Program Management',
+      'AI Engineering',
+      'Autonomous Systems',
+      'Systems Validation & Verification',
+      'Customer Success',
+      'Enterprise Customer Success',
+      'Leadership',
+      'Cross-Domain Experience',
+      'Technical Background',
+      'Operations'
+    ];
+const SUMMARY_STORY_CATEGORIES = process.env.SUMMARY_STORY_CATEGORIES
+  ? JSON.parse(process.env.SUMMARY_STORY_CATEGORIES)
+  : ['STAR Examples', 'Behavioral'];
+
+const SUMMARY_FORMATS = ['json', 'markdown', 'text'];
+const SUMMARY_MAX_PER_CATEGORY = 2;
+
+// ----- SELECTION -----
+
+// Entries in the given categories, most relevant to the target role first.
+// Without a role, entries follow the configured category order.
+async function rankEntriesForRole(role, categories) {
+  // Pinned: search result indexes refer to the KB as it was when the search began
+  const entries = knowledgeBase.qaDatabase;
+  const inPool = qa => categories.includes(qa.category) && entryAnswer(qa).trim().length >= 40;
+
+  const scores = new Map();
+  if (role) {
+    for (const item of await hybridSearchKnowledgeBase(role, entries.length)) {
+      scores.set(item.index, item.score);
+    }
+  }
+
+  const pool = entries.map((qa, index) => ({ ...qa, score: scores.get(index) || 0 })).filter(inPool);
+  if (!role) {
+    pool.sort((a, b) => categories.indexOf(a.category) - categories.indexOf(b.category));
+  } else {
+    pool.sort((a, b) => b.score - a.score);
+  }
+  return pool;
+}
+
+// Best first, at most SUMMARY_MAX_PER_CATEGORY per category, skipping entries
+// that restate one already picked (the KB has reworded copies of some questions and answers)
+function restatesEntry(a, b) {
+  return (
+    textSimilarity(entryQuestion(a), entryQuestion(b)) >= 0.7 ||
+    textSimilarity(entryAnswer(a), entryAnswer(b)) >= 0.6
+  );
+}
+
+function pickDiverse(entries, limit) {
+  const perCategory = new Map();
+  const out = [];
+  for (const qa of entries) {
+    const used = perCategory.get(qa.category) || 0;
+    if (used >= SUMMARY_MAX_PER_CATEGORY) continue;
+    if (out.some(picked => restatesEntry(picked, qa))) continue;
+    perCategory.set(qa.category, used + 1);
+    out.push(qa);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+function leadSentences(text, minLength = 80, maxLength = 260) {
+  let out = '';
+  for (const sentence of splitSentences(String(text).replace(/\s+/g, ' ').trim())) {
+    if (out && (out.length >= minLength || out.length + sentence.length > maxLength)) break;
+    out = out ? `${out} ${sentence}` : sentence;
+  }
+  return out.length > maxLength ? `${out.slice(0, maxLength - 3).trim()}...` : out;
+}
+
+// "Kyle is not positioned as...", "Kyle does not..." answers set expectations in
+// chat but read as weaknesses in a resume bullet
+function isScopeDisclaimer(qa) {
+  return /^kyle (is not|isn't|does not|doesn't|has not|hasn't)\b/i.test(leadSentences(entryAnswer(qa)));
+}
+
+// sanitizeOutput re-wraps paragraphs; a bullet or teaser stays on one line
+function summaryLine(text) {
+  return sanitizeOutput(text).replace(/\s+/g, ' ').trim();
+}
+
+function toSummaryBullet(qa) {
+  const text = qa.title ? `${qa.title}: ${leadSentences(qa.description)}` : leadSentences(entryAnswer(qa));
+  return { text: summaryLine(text), sources: [toSourceEntry(qa, qa.score || null)] };
+}
+
+// Story prompts ("a time Kyle...", "walk me through...") or STAR-structured answers;
+// the behavioral categories also hold motivation / values answers
+function isStoryEntry(qa) {
+  return (
+    /\b(a time|situation|example|walk me through)\b/i.test(entryQuestion(qa)) ||
+    /\bsituation:/i.test(entryAnswer(qa))
+  );
+}
+
+// STAR entries: the question names the story; the Result section (if any) is the teaser
+function toStorySummary(qa) {
+  const answer = entryAnswer(qa);
+  const result = /\bresult:\s*([^\n]+)/i.exec(answer);
+  return {
+    title: entryQuestion(qa) || qa.id,
+    teaser: summaryLine(leadSentences(result ? result[1] : answer, 40, 200)),
+    sources: [toSourceEntry(qa, qa.score || null)]
+  };
+}
+
+// ----- SUMMARY PARAGRAPH -----
+
+function buildTemplateSummary(role, bullets) {
+  const areas = [...new Set(bullets.map(b => b.sources[0].category))]
+    .slice(0, 3)
+    .map(c => c.replace(/\b[A-Z][a-z]+/g, w => w.toLowerCase()));
+  const focus = role ? `, relevant to ${role} roles` : '';
+  return `Kyle brings experience across ${areas.join(', ')}${focus}. ${bullets.length ? bullets[0].text : ''}`.trim();
+}
+
+async function writeRoleSummary(role, entries) {
+  let context = entries.map((qa, idx) => formatContextEntry(qa, idx)).join('');
+  if (context.length > 6000) context = context.substring(0, 6000) + '\n... [truncated for length]';
+
+  const raw = await llmChat({
+    messages: [
+      {
+        role: 'system',
+        content: `You are Agent K, an AI assistant that represents Kyle’s professional background.
+Write a professional summary of Kyle in 3 or 4 sentences, in the third person, as it would appear at the top of a resume.
+- Tailor it to the target role, leading with the most relevant experience.
+- Use only the BACKGROUND below. Do not add numbers, employers, durations, or tools that are not in it.
+- Output only the summary paragraph.
+
+BACKGROUND:
+${context}`
+      },
+      { role: 'user', content: `Target role: ${role || 'general technical program and operations roles'}` }
+    ],
+    temperature: 0.3,
+    max_tokens: 300
+  });
+
+  if (!raw) return null;
+  if (GROUNDING_MODE === 'off' || GROUNDING_MODE === 'flag') return raw;
+  const check = verifyGrounding(raw, entries);
+  return check.unsupported.length ? softenUnsupportedClaims(check).text || null : raw;
+}
+
+// ----- RENDERING -----
+
+function renderSummaryMarkdown(report) {
+  const ids = sources => sources.map(s => s.id).join(', ');
+  const lines = [`## Kyle — ${report.role ? `summary for ${report.role}` : 'professional summary'}`, '', report.summary, ''];
+  lines.push('### Key points', '');
+  report.bullets.forEach(b => lines.push(`- ${b.text} _(kb: ${ids(b.sources)})_`));
+  lines.push('', '### STAR stories', '');
+  report.stories.forEach((s, i) => lines.push(`${i + 1}. **${s.title}** — ${s.teaser} _(kb: ${ids(s.sources)})_`));
+  return lines.join('\n') + '\n';
+}
+
+function renderSummaryText(report) {
+  const ids = sources => sources.map(s => s.id).join(', ');
+  const heading = `KYLE — ${report.role ? `SUMMARY FOR ${report.role.toUpperCase()}` : 'PROFESSIONAL SUMMARY'}`;
+  const lines = [heading, '', report.summary, '', 'KEY POINTS'];
+  report.bullets.forEach(b => lines.push(`* ${b.text} [kb: ${ids(b.sources)}]`));
+  lines.push('', 'STAR STORIES');
+  report.stories.forEach((s, i) => lines.push(`${i + 1}. ${s.title} - ${s.teaser} [kb: ${ids(s.sources)}]`));
+  return lines.join('\n') + '\n';
+}
+
+// ----- ENDPOINT -----
+
+app.post('/summary', async (req, res) => {
+  const body = req.body || {};
+  const role = typeof body.role === 'string' ? body.role.trim().slice(0, 200) : '';
+  const format = typeof body.format === 'string' ? body.format.toLowerCase() : 'json';
+  const bulletCount = Math.min(Math.max(Number(body.bullets) || 6, 1), 12);
+  const storyCount = Math.min(Math.max(Number(body.stories) || 3, 0), 8);
+
+  if (!SUMMARY_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${SUMMARY_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const bulletEntries = pickDiverse(
+      (await rankEntriesForRole(role, SUMMARY_BULLET_CATEGORIES)).filter(qa => !isScopeDisclaimer(qa)),
+      bulletCount
+    );
+    const storyEntries = pickDiverse(
+      (await rankEntriesForRole(role, SUMMARY_STORY_CATEGORIES)).filter(isStoryEntry),
+      storyCount
+    );
+
+    const bullets = bulletEntries.map(toSummaryBullet);
+    const stories = storyEntries.map(toStorySummary);
+
+    let summary = null;
+    try {
+      summary = await writeRoleSummary(role, bulletEntries);
+    } catch (e) {
+      console.warn('Summary generation failed, using template:', e.message || e);
+    }
+
+    const report = {
+      role: role || null,
+      kbVersion,
+      summary: sanitizeOutput(summary || buildTemplateSummary(role, bullets)),
+      summarySource: summary ? 'llm' : 'template',
+      summarySources: bulletEntries.map(qa => qa.id),
+      bullets,
+      stories
+    };
+
+    if (format === 'markdown') return res.type('text/markdown').send(renderSummaryMarkdown(report));
+    if (format === 'text') return res.type('text/plain').send(renderSummaryText(report));
+    res.json(report);
+  } catch (err) {
+    console.error('Summary generation error:', err);
+    res.status(500).json({
+      error: 'Temporary issue',
+      message:
+        process.env.NODE_ENV === 'development' ? err.message : 'Agent K could not build the summary.'
+    });
+  }
 });
+
+// ======================================================================
+// SECTION 9: SERVER START
+// ======================================================================
+
+// Every privacy store has registered by now: startup retention pass + schedule
+startPrivacyMaintenance();
+
+// Only bind a port when run directly (node server.js); importing the module,
+// e.g. from tests, exposes the app and provider hooks without listening.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    console.log(`Agent K live on port ${PORT}`);
+  });
+}
+
+export { app, setLLMProviders, createStubProvider, createProviders, llmChatStream };
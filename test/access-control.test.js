@@ -0,0 +1,70 @@
+// CORS allowlist, per-route request limits and REQUEST_LIMITS validation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { startServer } from './helpers/server.js';
+
+const REQUEST_LIMITS = [
+  { name: 'query', paths: ['/query'], windowMs: 60000, perIp: 2, perOrigin: 3, maxQueryLength: 50 },
+  { name: 'default', paths: ['*'], windowMs: 60000, perIp: 0, perOrigin: 0 }
+];
+
+const api = await startServer({
+  CORS_ORIGINS: 'https://kyle.dev/',
+  REQUEST_LIMITS: JSON.stringify(REQUEST_LIMITS)
+});
+
+function fromIp(ip, origin) {
+  return { headers: { 'x-forwarded-for': ip, ...(origin ? { origin } : {}) } };
+}
+
+test('only allowlisted origins get through', async () => {
+  const allowed = await api.get('/health', fromIp('10.0.0.1', 'https://kyle.dev'));
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://kyle.dev');
+
+  const refused = await api.get('/health', fromIp('10.0.0.1', 'https://evil.example'));
+  assert.equal(refused.status, 403);
+
+  const noOrigin = await api.get('/health', fromIp('10.0.0.1'));
+  assert.equal(noOrigin.status, 200);
+});
+
+test('each IP gets perIp queries per window', async () => {
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await api.post('/query', { q: 'hi' }, fromIp('10.0.0.2'))).status, 200);
+  }
+  const limited = await api.post('/query', { q: 'hi' }, fromIp('10.0.0.2'));
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.scope, 'ip');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+  assert.equal((await api.post('/query', { q: 'hi' }, fromIp('10.0.0.3'))).status, 200);
+});
+
+test('an origin shares perOrigin across IPs', async () => {
+  for (const ip of ['10.0.0.4', '10.0.0.5', '10.0.0.6']) {
+    assert.equal((await api.post('/query', { q: 'hi' }, fromIp(ip, 'https://kyle.dev'))).status, 200);
+  }
+  const limited = await api.post('/query', { q: 'hi' }, fromIp('10.0.0.7', 'https://kyle.dev'));
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.scope, 'origin');
+});
+
+test('queries over maxQueryLength are rejected', async () => {
+  const { status, body } = await api.post('/query', { q: 'x'.repeat(51) }, fromIp('10.0.0.8'));
+  assert.equal(status, 413);
+  assert.match(body.error, /max 50/);
+});
+
+test('a malformed REQUEST_LIMITS stops the server at startup', () => {
+  const result = spawnSync(process.execPath, [fileURLToPath(new URL('../server.js', import.meta.url))], {
+    env: { ...process.env, REQUEST_LIMITS: '[{"name": "query", "paths": ["/query"], "perIp": "12"}]' },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /rule 0 \(query\): "windowMs" must be a positive number/);
+  assert.match(result.stderr, /rule 0 \(query\): "perIp" must be a non-negative integer/);
+});
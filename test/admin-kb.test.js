@@ -0,0 +1,77 @@
+// Admin KB entry CRUD, backups and restore, run against a copy of the KB
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { startServer, useKnowledgeBaseCopy } from './helpers/server.js';
+
+const { dir, kbFile } = await useKnowledgeBaseCopy();
+
+const api = await startServer({
+  ADMIN_TOKEN: 'test-admin-token',
+  KB_VALIDATION: 'strict',
+  KB_HISTORY_DIR: path.join(dir, 'history')
+});
+
+const auth = { headers: { authorization: 'Bearer test-admin-token' } };
+const entry = {
+  id: 'test-robot-arm-1',
+  category: 'Technical Skills',
+  keywords: ['robot arm'],
+  question: 'Has Kyle calibrated a robot arm?',
+  answer: 'Kyle calibrated a six-axis robot arm for a pick-and-place validation rig.'
+};
+
+async function readKb() {
+  return JSON.parse(await fs.readFile(kbFile, 'utf8'));
+}
+
+test('created entries are saved, backed up and served', async () => {
+  const before = await fs.readFile(kbFile, 'utf8');
+  const { status, body } = await api.post('/admin/kb/entries', entry, auth);
+  assert.equal(status, 201);
+  assert.equal(body.entry.id, entry.id);
+
+  assert.deepEqual((await readKb()).qaDatabase.at(-1), entry);
+  const { body: history } = await api.get('/admin/kb/history', auth);
+  assert.equal(history.current, body.version);
+  assert.equal(history.backups.length, 1);
+  assert.equal(await fs.readFile(path.join(dir, 'history', history.backups[0]), 'utf8'), before);
+
+  const { body: fetched } = await api.get(`/admin/kb/entries/${entry.id}`, auth);
+  assert.deepEqual(fetched.entry, entry);
+});
+
+test('invalid entries and duplicate ids are rejected', async () => {
+  const invalid = await api.post('/admin/kb/entries', { id: 'test-no-answer', question: 'q?' }, auth);
+  assert.equal(invalid.status, 400);
+  const duplicate = await api.post('/admin/kb/entries', entry, auth);
+  assert.equal(duplicate.status, 409);
+});
+
+test('an edit that leaves the KB unloadable is rejected without touching the file', async () => {
+  // A hand edit the server has not reloaded yet; strict mode refuses it
+  const kb = await readKb();
+  kb.qaDatabase.push({ id: 'test-broken', question: 'No answer?' });
+  const broken = `${JSON.stringify(kb, null, 4)}\n`;
+  await fs.writeFile(kbFile, broken);
+
+  const { status, body } = await api.put(`/admin/kb/entries/${entry.id}`, { ...entry, answer: 'Edited.' }, auth);
+  assert.equal(status, 422);
+  assert.match(body.error, /would not load/);
+  assert.equal(await fs.readFile(kbFile, 'utf8'), broken);
+
+  kb.qaDatabase.pop();
+  await fs.writeFile(kbFile, `${JSON.stringify(kb, null, 4)}\n`);
+});
+
+test('deleting an entry and restoring the backup brings it back', async () => {
+  const deleted = await api.del(`/admin/kb/entries/${entry.id}`, auth);
+  assert.equal(deleted.status, 200);
+  assert.equal((await readKb()).qaDatabase.some(e => e.id === entry.id), false);
+
+  const { body: history } = await api.get('/admin/kb/history', auth);
+  const { status } = await api.post(`/admin/kb/history/${history.backups[0]}/restore`, {}, auth);
+  assert.equal(status, 200);
+  assert.equal((await readKb()).qaDatabase.some(e => e.id === entry.id), true);
+});
@@ -0,0 +1,24 @@
+// GET /admin/stats and its HTML page
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer({ ADMIN_TOKEN: 'test-admin-token', QUERY_EVENTS_STORE: 'memory' });
+
+test('stats require the admin token and count recorded queries', async () => {
+  await api.post('/query', { q: 'Describe Kyle approach to stakeholder escalations, mail me at a@b.co' });
+
+  assert.equal((await api.get('/admin/stats')).status, 401);
+
+  const { body: stats } = await api.get('/admin/stats?hours=1', {
+    headers: { authorization: 'Bearer test-admin-token' }
+  });
+  assert.equal(stats.totals.queries, 1);
+  assert.equal(stats.routes.llm, 1);
+  assert.match(stats.topQueries[0].query, /\[email\]/);
+});
+
+test('the stats page never stores the admin token', async () => {
+  const { body: html } = await api.get('/admin/stats.html');
+  assert.doesNotMatch(html, /sessionStorage|localStorage|document\.cookie/);
+});
@@ -0,0 +1,97 @@
+// Webhook events and SMTP digests, delivered to local fake endpoints
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import net from 'node:net';
+import { once } from 'node:events';
+import { startServer } from './helpers/server.js';
+
+// Accepts any envelope and keeps the DATA section of each message
+const mails = [];
+const smtp = net.createServer(socket => {
+  let buffer = '';
+  let message = null;
+  socket.write('220 fake ESMTP\r\n');
+  socket.on('data', chunk => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (message) {
+        if (line === '.') {
+          mails.push(message.join('\n'));
+          message = null;
+          socket.write('250 queued\r\n');
+        } else {
+          message.push(line);
+        }
+      } else if (/^EHLO/i.test(line)) {
+        socket.write('250 fake\r\n');
+      } else if (/^DATA/i.test(line)) {
+        message = [];
+        socket.write('354 go ahead\r\n');
+      } else if (/^QUIT/i.test(line)) {
+        socket.end('221 bye\r\n');
+      } else {
+        socket.write('250 ok\r\n');
+      }
+    }
+  });
+});
+
+const hooks = [];
+const webhook = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => (body += chunk));
+  req.on('end', () => {
+    hooks.push({ signature: req.headers['x-agent-k-signature'], body });
+    res.end('ok');
+  });
+});
+
+smtp.listen(0, '127.0.0.1');
+webhook.listen(0, '127.0.0.1');
+await Promise.all([once(smtp, 'listening'), once(webhook, 'listening')]);
+after(() => {
+  smtp.close();
+  webhook.close();
+});
+
+const api = await startServer({
+  ANALYTICS_EVENT_SINKS: 'webhook',
+  ANALYTICS_WEBHOOK_URL: `http://127.0.0.1:${webhook.address().port}/hook`,
+  ANALYTICS_WEBHOOK_SECRET: 'hook-secret',
+  ANALYTICS_DIGEST_SINKS: 'smtp',
+  ANALYTICS_SMTP_URL: `smtp://127.0.0.1:${smtp.address().port}`,
+  ANALYTICS_EMAIL_TO: 'kyle@example.com',
+  ANALYTICS_FLUSH_INTERVAL_MS: '50',
+  ANALYTICS_DIGEST_INTERVAL_MS: '200'
+});
+
+async function waitFor(condition) {
+  const waitUntil = Date.now() + 3000;
+  while (!condition() && Date.now() < waitUntil) await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+await api.post('/query', { q: 'hi, reach me at jane@example.com' });
+
+test('visit events go to the webhook signed and without the query text', async () => {
+  await waitFor(() => hooks.length > 0);
+  assert.equal(hooks.length, 1);
+  const { signature, body } = hooks[0];
+  assert.equal(signature, `sha256=${crypto.createHmac('sha256', 'hook-secret').update(body).digest('hex')}`);
+  const { records } = JSON.parse(body);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].type, 'visit');
+  assert.equal('query' in records[0], false);
+  assert.doesNotMatch(body, /jane/);
+});
+
+test('digests are mailed over SMTP', async () => {
+  await waitFor(() => mails.length > 0);
+  assert.equal(mails.length, 1);
+  assert.match(mails[0], /^To: kyle@example\.com$/m);
+  assert.match(mails[0], /^Subject: Agent K: 1 new visitor in the last minute/m);
+});
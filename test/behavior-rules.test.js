@@ -0,0 +1,41 @@
+// Per-request behavior rule selection and the rule ids reported in debug
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer({ BEHAVIOR_RULES_TOKEN_BUDGET: '300' });
+
+// id -> rule text; the server keeps the first entry when an id repeats
+const kb = JSON.parse(await fs.readFile(new URL('../knowledge-base.json', import.meta.url), 'utf8'));
+const ruleText = new Map();
+for (const entry of kb.qaDatabase) {
+  if (entry.behavior && !ruleText.has(entry.id)) ruleText.set(entry.id, entry.behavior.trim());
+}
+
+// Keeps the system prompt of the last chat request
+const provider = api.createStubProvider();
+const chat = provider.chat;
+provider.chat = async (request, options) => {
+  provider.systemPrompt = request.messages[0].content;
+  return chat(request, options);
+};
+api.setLLMProviders([provider]);
+
+test('rules matching the query are selected, whole, within the token budget', async () => {
+  const { body } = await api.post('/query', { q: 'How does Kyle handle ambiguity and unclear requirements?' });
+  const applied = body.debug.behaviorRules;
+  assert.ok(applied.some(rule => rule.id === 'behavioral-ambiguity'));
+
+  const tokens = applied.reduce((sum, rule) => sum + Math.ceil(ruleText.get(rule.id).length / 4), 0);
+  assert.ok(tokens <= 300, `${tokens} tokens`);
+  for (const rule of applied) assert.ok(provider.systemPrompt.includes(ruleText.get(rule.id)), rule.id);
+});
+
+test('different questions get different rules', async () => {
+  const ambiguity = await api.post('/query', { q: 'How does Kyle handle ambiguity and unclear requirements?' });
+  const incidents = await api.post('/query', { q: 'How does Kyle run incident management and root cause analysis?' });
+  const ids = body => body.debug.behaviorRules.map(rule => rule.id);
+  assert.ok(ids(incidents.body).includes('domain-incident-management'));
+  assert.ok(!ids(ambiguity.body).includes('domain-incident-management'));
+});
@@ -0,0 +1,32 @@
+// BM25 keyword search, seen through /suggest with embeddings turned off
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer({ EMBEDDINGS_BACKEND: 'none' });
+
+async function suggest(query) {
+  const { status, body } = await api.post('/suggest', { query });
+  assert.equal(status, 200);
+  return body.suggestions;
+}
+
+test('inflected query words match their stems', async () => {
+  const suggestions = await suggest('Has Kyle been escalating issues?');
+  assert.match(suggestions[0], /escalat/i);
+});
+
+test('a half-typed last word is prefix-expanded', async () => {
+  const [first] = await suggest('lida');
+  assert.match(first, /lidar/i);
+});
+
+test('a query of stop words matches nothing and falls back to the defaults', async () => {
+  assert.deepEqual(await suggest('What is the?'), await suggest(''));
+});
+
+test('rare words outweigh common ones', async () => {
+  // "kyle" appears in most entries, "perception" in few
+  const [first] = await suggest('Kyle and perception?');
+  assert.match(first, /perception/i);
+});
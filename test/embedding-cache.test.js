@@ -0,0 +1,67 @@
+// Persistent embedding cache: only new or changed entries are re-embedded
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { startServer, useKnowledgeBaseCopy } from './helpers/server.js';
+
+const { dir, kbFile } = await useKnowledgeBaseCopy();
+const cacheFile = path.join(dir, 'embeddings.json');
+
+const api = await startServer({
+  ADMIN_TOKEN: 'test-admin-token',
+  EMBEDDINGS_BACKEND: 'remote',
+  EMBEDDING_CACHE: 'file',
+  EMBEDDING_CACHE_FILE: cacheFile
+});
+
+// Counts the texts it is asked to embed
+const provider = api.createStubProvider({ name: 'fake' });
+provider.embedModel = 'fake-embed-1';
+provider.embedded = 0;
+provider.embed = async inputs => {
+  provider.embedded += inputs.length;
+  return inputs.map(text => [(text.length % 13) + 1, 1, 0]);
+};
+api.setLLMProviders([provider]);
+
+const auth = { headers: { authorization: 'Bearer test-admin-token' } };
+
+async function reload() {
+  provider.embedded = 0;
+  const { status, body } = await api.post('/admin/kb/reload', {}, auth);
+  assert.equal(status, 200);
+  return body;
+}
+
+test('the first build embeds every entry and writes the cache', async () => {
+  const { entries } = await reload();
+  assert.equal(provider.embedded, entries);
+
+  const cache = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+  // Entries repeated under the same id with the same text share one key
+  const vectors = Object.values(cache.entries);
+  assert.ok(vectors.length > entries * 0.9 && vectors.length <= entries);
+  assert.ok(vectors.every(vector => vector.length === 3));
+  assert.equal((await api.get('/health')).body.embeddingBackend, 'fake:fake-embed-1');
+});
+
+test('an unchanged KB is served from the cache', async () => {
+  await reload();
+  assert.equal(provider.embedded, 0);
+});
+
+test('only an edited entry is re-embedded', async () => {
+  const kb = JSON.parse(await fs.readFile(kbFile, 'utf8'));
+  kb.qaDatabase[0].answer += ' He also mentors new test engineers.';
+  await fs.writeFile(kbFile, JSON.stringify(kb, null, 4));
+
+  await reload();
+  assert.equal(provider.embedded, 1);
+});
+
+test('a different embedding model invalidates every entry', async () => {
+  provider.embedModel = 'fake-embed-2';
+  const { entries } = await reload();
+  assert.equal(provider.embedded, entries);
+});
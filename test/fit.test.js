@@ -0,0 +1,66 @@
+// POST /fit: requirements pulled from a job description, rated against the KB
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+// More /fit and /summary calls than the default documents limit allows
+const api = await startServer({
+  REQUEST_LIMITS: JSON.stringify([{ name: 'documents', paths: ['/fit', '/summary'], windowMs: 60000, perIp: 100 }])
+});
+
+const jobDescription = `Technical Program Manager, Autonomy
+
+About us
+We build robots and offer great benefits.
+
+Requirements:
+- Experience validating autonomous vehicle perception and sensor systems
+- Experience leading cross-functional programs with hardware and software teams
+- Professional certification in maritime underwater welding
+
+Nice to have:
+- Familiarity with customer success for enterprise SaaS accounts
+`;
+
+test('requirements are extracted by section and rated with their evidence', async () => {
+  const { status, body } = await api.post('/fit', { jobDescription });
+  assert.equal(status, 200);
+  assert.equal(body.title, 'Technical Program Manager, Autonomy');
+
+  const byText = new Map(body.requirements.map(r => [r.requirement, r]));
+  assert.equal(body.requirements.length, 4);
+  assert.ok(![...byText.keys()].some(text => /robots/.test(text)), 'About us is not a requirement');
+
+  const perception = byText.get('Experience validating autonomous vehicle perception and sensor systems');
+  assert.equal(perception.strength, 'strong');
+  assert.ok(perception.sources.some(source => source.id === 'auto-001'));
+
+  const welding = byText.get('Professional certification in maritime underwater welding');
+  assert.equal(welding.strength, 'gap');
+  assert.deepEqual(welding.sources, []);
+  assert.deepEqual(body.gaps, [welding.requirement]);
+
+  assert.equal(byText.get('Familiarity with customer success for enterprise SaaS accounts').kind, 'preferred');
+
+  const { summary } = body;
+  assert.equal(summary.requirements, 4);
+  assert.equal(summary.strong + summary.partial + summary.gaps, 4);
+  assert.equal(body.narrativeSource, 'llm');
+});
+
+test('the narrative falls back to a template when no model answers', async () => {
+  api.setLLMProviders([]);
+  try {
+    const { body } = await api.post('/fit', { jobDescription });
+    assert.equal(body.narrativeSource, 'template');
+    assert.match(body.narrative, /^For the Technical Program Manager, Autonomy role/);
+    assert.match(body.narrative, /does not cover “Professional certification in maritime underwater welding”/);
+  } finally {
+    api.setLLMProviders([api.createStubProvider()]);
+  }
+});
+
+test('a missing job description is a 400, one without requirements a 422', async () => {
+  assert.equal((await api.post('/fit', {})).status, 400);
+  assert.equal((await api.post('/fit', { jobDescription: 'Hello there.' })).status, 422);
+});
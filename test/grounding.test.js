@@ -0,0 +1,58 @@
+// Grounding verifier on /query and /query/stream (GROUNDING_MODE=soften)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, parseEvents } from './helpers/server.js';
+
+const api = await startServer({ GROUNDING_MODE: 'soften' });
+
+const QUESTION = 'Describe Kyle approach to stakeholder escalations';
+
+const UNGROUNDED_REPLY =
+  'Kyle led the validation team at Tesla for 7 years. He cut costs by 45% across the program. ' +
+  'Kyle has led structured testing programs.';
+
+function replyWith(reply) {
+  api.setLLMProviders([api.createStubProvider({ reply })]);
+}
+
+test('tools after "with" are not read as employers', async () => {
+  replyWith('Kyle has led structured testing programs. Kyle also built tools with Python.');
+
+  const { body } = await api.post('/query', { q: QUESTION });
+  assert.match(body.answer, /tools with Python/);
+  assert.ok(!body.debug.grounding.unsupported.some(claim => claim.type === 'employer'));
+});
+
+test('unsupported employers and numbers are softened', async () => {
+  replyWith(UNGROUNDED_REPLY);
+
+  const { body } = await api.post('/query', { q: QUESTION });
+  assert.doesNotMatch(body.answer, /Tesla|45%|7 years/);
+  assert.match(body.answer, /structured testing programs/);
+});
+
+test('streamed deltas never carry unsupported claims', async () => {
+  replyWith(UNGROUNDED_REPLY);
+
+  const events = parseEvents((await api.post('/query/stream', { q: QUESTION })).body);
+  const streamed = events.filter(e => e.event === 'delta').map(e => e.data.text).join('');
+  const done = events.find(e => e.event === 'done');
+
+  assert.doesNotMatch(streamed, /Tesla|45%|7 years/);
+  assert.match(streamed, /structured testing programs/);
+  assert.doesNotMatch(done.data.answer, /Tesla|45%|7 years/);
+});
+
+test('short tool and employer names need a whole-word match in the KB', async () => {
+  // The KB says "across", "laws" and "metadata", never ROS, AWS or Meta
+  replyWith(
+    'Kyle has led structured testing programs. Kyle deployed the pipeline on AWS. ' +
+      'Kyle wrote ROS nodes for the fleet. Kyle worked at Meta on ranking.'
+  );
+
+  const { body } = await api.post('/query', { q: QUESTION });
+  assert.doesNotMatch(body.answer, /AWS|ROS|Meta/);
+  assert.match(body.answer, /structured testing programs/);
+  const unsupported = body.debug.grounding.unsupported.map(claim => claim.text.toLowerCase());
+  assert.deepEqual(unsupported.sort(), ['aws', 'meta', 'ros']);
+});
@@ -0,0 +1,90 @@
+// Shared setup for the HTTP tests: imports server.js with offline defaults
+// (stub LLM, local embeddings, nothing written outside the test's own files)
+// and listens on a free port. Each test file runs in its own process, so the
+// env set here only applies to that file.
+import { after } from 'node:test';
+import { once } from 'node:events';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+const TEST_ENV = {
+  LLM_PROVIDERS: '[{"type":"stub"}]',
+  LLM_RETRY_BASE_MS: '1',
+  EMBEDDINGS_BACKEND: 'local',
+  RESPONSE_CACHE: 'none',
+  ANALYTICS_EVENT_SINKS: 'none',
+  ANALYTICS_DIGEST_SINKS: 'none',
+  QUERY_EVENTS_STORE: 'none',
+  ROUTES_FILE: path.join(ROOT, 'routes.json'),
+  INTENT_EXAMPLES_FILE: path.join(ROOT, 'intent-examples.json')
+};
+
+// env overrides TEST_ENV; the server is closed after the file's tests
+async function startServer(env = {}) {
+  Object.assign(process.env, TEST_ENV, env);
+  const server = await import('../../server.js');
+  const listener = server.app.listen(0);
+  await once(listener, 'listening');
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  after(() => {
+    listener.close();
+    server.setLLMProviders([server.createStubProvider()]);
+  });
+
+  // { status, headers, body } with body parsed as JSON when it is JSON
+  async function request(method, path, { body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  return {
+    ...server,
+    baseUrl,
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options = {}) => request('POST', path, { ...options, body }),
+    put: (path, body, options = {}) => request('PUT', path, { ...options, body }),
+    del: (path, options) => request('DELETE', path, options)
+  };
+}
+
+// Runs the file's tests in a temp dir holding a copy of knowledge-base.json
+// (the server reads it relative to the working directory); call before
+// startServer. Returns { dir, kbFile }.
+async function useKnowledgeBaseCopy() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-k-kb-'));
+  const kbFile = path.join(dir, 'knowledge-base.json');
+  await fs.copyFile(path.join(ROOT, 'knowledge-base.json'), kbFile);
+
+  const cwd = process.cwd();
+  process.chdir(dir);
+  after(async () => {
+    process.chdir(cwd);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  return { dir, kbFile };
+}
+
+// [{ event, data }] from a text/event-stream body
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map(block => ({
+      event: /^event: (.*)$/m.exec(block)[1],
+      data: JSON.parse(/^data: (.*)$/m.exec(block)[1])
+    }));
+}
+
+export { startServer, useKnowledgeBaseCopy, parseEvents };
@@ -0,0 +1,58 @@
+// routes.json intent router on /query and its /debug/route explanation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+
+const { routes } = JSON.parse(await fs.readFile(new URL('../routes.json', import.meta.url), 'utf8'));
+const payRoute = routes.find(route => route.id === 'pay');
+
+async function explain(q, query = '') {
+  const { status, body } = await api.get(`/debug/route?q=${encodeURIComponent(q)}${query}`);
+  assert.equal(status, 200);
+  return body;
+}
+
+test('a matching route answers with its canned response', async () => {
+  const explained = await explain('What are his salary expectations?');
+  assert.equal(explained.route, 'pay');
+  assert.equal(explained.action, 'canned');
+
+  const { body } = await api.post('/query', { q: 'What are his salary expectations?' });
+  // Canned text goes through the same sentence formatting as model answers
+  assert.equal(body.answer.replace(/\s+/g, ' '), payRoute.response);
+  assert.equal(body.sources.path, 'canned');
+});
+
+test('exclusions veto a route and the trace says why', async () => {
+  const { route, trace } = await explain('Does he pay attention to detail?');
+  assert.equal(route, null);
+  const pay = trace.find(step => step.id === 'pay');
+  assert.equal(pay.result, 'excluded');
+  assert.match(pay.excludedBy, /attention/);
+});
+
+test('words that used to hijack the waterfall no longer match', async () => {
+  const { route, action } = await explain('What range of sensors has Kyle tested?');
+  assert.equal(route, null);
+  assert.equal(action, 'answer');
+});
+
+test('the highest-priority match wins and lower ones are shadowed', async () => {
+  const { route, trace } = await explain('tell me a joke, this is useless');
+  assert.equal(route, 'joke');
+  assert.equal(trace.find(step => step.id === 'hostile').result, 'shadowed');
+});
+
+test('first-turn-only routes are skipped inside a conversation', async () => {
+  assert.equal((await explain('yes')).route, 'affirm');
+  const { route, trace } = await explain('yes', '&history=1');
+  assert.equal(route, null);
+  assert.equal(trace.find(step => step.id === 'affirm').result, 'skipped');
+});
+
+test('a query is required', async () => {
+  assert.equal((await api.get('/debug/route')).status, 400);
+});
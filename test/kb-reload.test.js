@@ -0,0 +1,75 @@
+// KB hot reload through the admin endpoint and the file watcher
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { startServer, useKnowledgeBaseCopy } from './helpers/server.js';
+
+const { kbFile } = await useKnowledgeBaseCopy();
+const api = await startServer({ ADMIN_TOKEN: 'test-admin-token', KB_WATCH: '1' });
+
+const auth = { headers: { authorization: 'Bearer test-admin-token' } };
+
+async function addEntry(entry) {
+  const kb = JSON.parse(await fs.readFile(kbFile, 'utf8'));
+  kb.qaDatabase.push(entry);
+  await fs.writeFile(kbFile, JSON.stringify(kb, null, 4));
+}
+
+async function health() {
+  return (await api.get('/health')).body;
+}
+
+test('a reload swaps in the edited KB under a new version', async () => {
+  const before = await health();
+  await addEntry({
+    id: 'test-reload-1',
+    category: 'Autonomy & Sensors',
+    keywords: ['thermal camera'],
+    question: 'Has Kyle validated thermal cameras?',
+    answer: 'Kyle validated thermal cameras for night-time pedestrian detection.'
+  });
+
+  const { status, body } = await api.post('/admin/kb/reload', {}, auth);
+  assert.equal(status, 200);
+  assert.equal(body.entries, before.entries + 1);
+  assert.notEqual(body.version, before.kbVersion);
+
+  const { body: answer } = await api.post('/query', { q: 'Has Kyle validated thermal cameras?' });
+  assert.ok(answer.sources.entries.some(e => e.id === 'test-reload-1'));
+});
+
+test('a file that fails to parse keeps the previous KB serving', async () => {
+  const before = await health();
+  const good = await fs.readFile(kbFile, 'utf8');
+  await fs.writeFile(kbFile, good.slice(0, -10));
+
+  const { status, body } = await api.post('/admin/kb/reload', {}, auth);
+  assert.equal(status, 422);
+  assert.equal(body.version, before.kbVersion);
+
+  const after = await health();
+  assert.equal(after.entries, before.entries);
+  assert.ok(after.kbReload.lastError);
+
+  await fs.writeFile(kbFile, good);
+});
+
+test('KB_WATCH reloads when the file changes on disk', async () => {
+  const before = await health();
+  await addEntry({
+    id: 'test-reload-2',
+    category: 'Autonomy & Sensors',
+    keywords: ['radar'],
+    question: 'Has Kyle tuned radar tracking?',
+    answer: 'Kyle tuned radar tracking thresholds during highway validation.'
+  });
+
+  const waitUntil = Date.now() + 5000;
+  let current = before;
+  while (current.entries === before.entries && Date.now() < waitUntil) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    current = await health();
+  }
+  assert.equal(current.entries, before.entries + 1);
+  assert.equal(current.kbReload.lastError, null);
+});
@@ -0,0 +1,79 @@
+// KB schema checks, lint rules, the lint command and degraded startup
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateKnowledgeBase } from '../kb-validate.js';
+import { startServer, useKnowledgeBaseCopy } from './helpers/server.js';
+
+const LINT = fileURLToPath(new URL('../lint-kb.js', import.meta.url));
+
+const valid = {
+  id: 'test-valid-1',
+  category: 'Autonomy & Sensors',
+  keywords: ['lidar'],
+  question: 'Has Kyle calibrated lidar sensors on a test fleet?',
+  answer: 'Kyle calibrated lidar sensors across a validation fleet.'
+};
+
+const { dir, kbFile } = await useKnowledgeBaseCopy();
+const kb = JSON.parse(await fs.readFile(kbFile, 'utf8'));
+const servedBefore = kb.qaDatabase.length;
+kb.qaDatabase.push({ id: 'test-no-answer', category: 'Autonomy & Sensors', question: 'Missing an answer?' });
+await fs.writeFile(kbFile, JSON.stringify(kb));
+
+const api = await startServer({ KB_VALIDATION: 'degraded' });
+
+test('schema errors mark the entry invalid; quality issues are warnings', () => {
+  const report = validateKnowledgeBase({
+    qaDatabase: [
+      valid,
+      { ...valid, question: 'Has Kyle calibrated lidar sensors on a test fleet again?' },
+      { id: 'test-bad', question: 'No answer here?' },
+      { ...valid, id: 'test-odd', category: 'Hobbies', keywords: [' '], answer: 'TBD' }
+    ]
+  });
+
+  assert.ok(report.errors.length && report.errors.every(e => e.index === 2 && e.rule === 'schema'));
+  assert.deepEqual([...report.invalidIndexes], [2]);
+  assert.deepEqual(
+    report.warnings.map(w => [w.index, w.rule]).sort(),
+    [
+      [1, 'duplicate-id'],
+      [1, 'near-duplicate'],
+      [2, 'missing-category'],
+      [3, 'empty-keywords'],
+      [3, 'near-duplicate'],
+      [3, 'near-duplicate'],
+      [3, 'placeholder'],
+      [3, 'unknown-category']
+    ]
+  );
+});
+
+test('a KB without a qaDatabase array is fatal', () => {
+  assert.equal(validateKnowledgeBase({ entries: [] }).fatal, true);
+});
+
+test('lint-kb exits 1 on errors, and on warnings only with --strict', async () => {
+  const file = path.join(dir, 'lint.json');
+  const lint = (...args) => spawnSync(process.execPath, [LINT, file, ...args], { encoding: 'utf8', timeout: 30000 });
+
+  await fs.writeFile(file, JSON.stringify({ qaDatabase: [valid, { ...valid, id: 'test-odd', category: 'Hobbies' }] }));
+  assert.equal(lint().status, 0);
+  assert.equal(lint('--strict').status, 1);
+
+  await fs.writeFile(file, JSON.stringify({ qaDatabase: [{ id: 'test-bad', question: 'No answer?' }] }));
+  const result = lint('--json');
+  assert.equal(result.status, 1);
+  assert.equal(JSON.parse(result.stdout).errors[0].id, 'test-bad');
+});
+
+test('degraded mode serves the KB without its invalid entries', async () => {
+  const { body } = await api.get('/health');
+  assert.equal(body.entries, servedBefore);
+  assert.equal(body.kbValidation.status, 'degraded');
+  assert.equal(body.kbValidation.dropped, 1);
+});
@@ -0,0 +1,56 @@
+// Provider failover and retry, driven through POST /query with injected providers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+
+// Fails `failures` times with the given status, then answers
+function flakyProvider(name, { failures, status = 503 }) {
+  const provider = api.createStubProvider({ name, reply: `Kyle has led structured testing programs (${name}).` });
+  provider.calls = 0;
+  const chat = provider.chat;
+  provider.chat = async request => {
+    provider.calls++;
+    if (provider.calls <= failures) throw Object.assign(new Error(`${name} unavailable`), { status });
+    return chat(request);
+  };
+  return provider;
+}
+
+const QUESTION = 'Describe Kyle approach to stakeholder escalations';
+
+test('retries a provider after a retryable error', async () => {
+  const primary = flakyProvider('primary', { failures: 1 });
+  const secondary = flakyProvider('secondary', { failures: 0 });
+  api.setLLMProviders([primary, secondary]);
+
+  const { status, body } = await api.post('/query', { q: QUESTION });
+  assert.equal(status, 200);
+  assert.match(body.answer, /primary/);
+  assert.equal(primary.calls, 2);
+  assert.equal(secondary.calls, 0);
+});
+
+test('fails over to the next provider once retries are exhausted', async () => {
+  const primary = flakyProvider('primary', { failures: Infinity });
+  const secondary = flakyProvider('secondary', { failures: 0 });
+  api.setLLMProviders([primary, secondary]);
+
+  const { status, body } = await api.post('/query', { q: QUESTION });
+  assert.equal(status, 200);
+  assert.match(body.answer, /secondary/);
+  assert.equal(primary.calls, 3); // first try + LLM_MAX_RETRIES (2)
+  assert.equal(secondary.calls, 1);
+});
+
+test('does not retry or fail over on a non-retryable error', async () => {
+  const primary = flakyProvider('primary', { failures: Infinity, status: 400 });
+  const secondary = flakyProvider('secondary', { failures: 0 });
+  api.setLLMProviders([primary, secondary]);
+
+  const { status } = await api.post('/query', { q: QUESTION });
+  assert.equal(status, 500);
+  assert.equal(primary.calls, 1);
+  assert.equal(secondary.calls, 0);
+});
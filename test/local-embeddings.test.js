@@ -0,0 +1,21 @@
+// Local TF-IDF embeddings when the providers offer no embeddings API
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+// auto: the stub provider has no embed(), so the local backend takes over
+const api = await startServer({ EMBEDDINGS_BACKEND: 'auto' });
+
+test('health reports the local backend as active', async () => {
+  const { body } = await api.get('/health');
+  assert.equal(body.embeddings, 'enabled');
+  assert.equal(body.embeddingBackend, 'local-tfidf');
+});
+
+test('retrieval scores include the embedding similarity', async () => {
+  const { body } = await api.post('/query', { q: 'Tell me about a time Kyle mitigated a project risk' });
+  const [top] = body.sources.entries;
+  assert.match(top.question, /mitigated a project risk/);
+  // Keyword matches alone contribute at most 0.35 of the hybrid score
+  assert.ok(top.score > 0.65 && top.score <= 1, `score ${top.score}`);
+});
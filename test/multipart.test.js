@@ -0,0 +1,51 @@
+// Multi-part questions: one retrieval slot per sub-question and labeled sections
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+
+const question = 'What did Kyle do in customer success and how does he handle sensor calibration?';
+const parts = ['What did Kyle do in customer success', 'how does he handle sensor calibration?'];
+
+// Keeps the messages of the last chat request; replies with one labeled
+// section per part when the prompt lists them
+const provider = api.createStubProvider();
+const chat = provider.chat;
+provider.chat = async (request, options) => {
+  provider.messages = request.messages;
+  const labels = request.messages.at(-1).content.match(/^\d\) .+$/gm);
+  if (!labels) return chat(request, options);
+  return labels.map(label => `${label}\nKyle’s background spans customer success and autonomous systems validation.`).join('\n\n');
+};
+api.setLLMProviders([provider]);
+
+test('each part gets its own retrieval slot and cited entries', async () => {
+  const { body } = await api.post('/query', { q: question });
+  assert.equal(body.sources.path, 'multi');
+  assert.deepEqual(body.sources.parts.map(part => part.question), parts);
+
+  const [success, sensors] = body.sources.parts;
+  assert.ok(success.entries.some(entry => /customer success/i.test(entry.question)));
+  assert.ok(sensors.entries.some(entry => /sensor|lidar/i.test(entry.question)));
+  const ids = body.sources.parts.flatMap(part => part.entries.map(entry => entry.id));
+  assert.deepEqual(body.sources.entries.map(entry => entry.id), ids);
+  assert.equal(new Set(ids).size, ids.length, 'no entry is reused across parts');
+
+  const system = provider.messages[0].content;
+  assert.ok(system.includes(`RELEVANT BACKGROUND FOR PART 1 ("${parts[0]}"`));
+  assert.ok(system.includes(`RELEVANT BACKGROUND FOR PART 2 ("${parts[1]}"`));
+});
+
+test('the model is asked for one labeled section per part', async () => {
+  const { body } = await api.post('/query', { q: question });
+  const prompt = provider.messages.at(-1).content;
+  assert.ok(prompt.includes(`1) ${parts[0]}\n2) ${parts[1]}`));
+  assert.deepEqual(body.debug.multiPart, { parts, labeled: true });
+});
+
+test('"and" inside a single question does not split it', async () => {
+  const { body } = await api.post('/query', { q: 'What is Kyle’s experience with testing and validation?' });
+  assert.notEqual(body.sources.path, 'multi');
+  assert.equal(body.debug.multiPart, undefined);
+});
@@ -0,0 +1,78 @@
+// IP truncation, query redaction, opt-out and the startup retention pass
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers/server.js';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-k-privacy-'));
+const analyticsFile = path.join(dir, 'analytics.jsonl');
+const queryEventsFile = path.join(dir, 'query-events.jsonl');
+
+// One expired and one fresh query event, written before the server starts
+const expired = { time: '2020-01-01T00:00:00.000Z', visitor: '0000000000000000', query: 'old' };
+const fresh = { time: new Date().toISOString(), visitor: '1111111111111111', query: 'new' };
+await fs.writeFile(queryEventsFile, `${JSON.stringify(expired)}\n${JSON.stringify(fresh)}\n`);
+
+const api = await startServer({
+  PRIVACY_IP_MODE: 'truncate',
+  PRIVACY_SALT: 'test-salt',
+  PRIVACY_RETENTION_DAYS: '30',
+  ANALYTICS_EVENT_SINKS: 'jsonl',
+  ANALYTICS_JSONL_FILE: analyticsFile,
+  ANALYTICS_DEDUPE_WINDOW_MS: '0',
+  ANALYTICS_INCLUDE_QUERY: '1',
+  ANALYTICS_FLUSH_INTERVAL_MS: '50',
+  QUERY_EVENTS_STORE: 'jsonl',
+  QUERY_EVENTS_FILE: queryEventsFile
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function readJsonl(file) {
+  return (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('startup retention prunes expired query events', async () => {
+  const waitUntil = Date.now() + 2000;
+  let queries;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    queries = (await readJsonl(queryEventsFile)).map(event => event.query);
+  } while (queries.includes('old') && Date.now() < waitUntil);
+  assert.deepEqual(queries, ['new']);
+});
+
+test('truncate mode keeps only the /48 of compressed IPv6 addresses', async () => {
+  for (const ip of ['2001:db8::1', '2001:db8:85a3:8d3:1319:8a2e:370:7348', '::1']) {
+    await api.post('/query', { q: 'hi' }, { headers: { 'x-forwarded-for': ip } });
+  }
+  await new Promise(resolve => setTimeout(resolve, 300));
+
+  const clients = (await readJsonl(analyticsFile)).filter(event => event.query === 'hi').map(event => event.client);
+  assert.deepEqual(clients, ['2001:db8:0::', '2001:db8:85a3::', '0:0:0::']);
+});
+
+test('phone numbers are redacted from stored queries but dates are not', async () => {
+  const q = 'did kyle start on 2023-01-15 or 01/15/2023? call +1 (555) 123-4567 or 555.123.4567';
+  await api.post('/query', { q });
+  await new Promise(resolve => setTimeout(resolve, 300));
+
+  const stored = (await readJsonl(analyticsFile)).find(event => event.query && event.query.startsWith('did kyle'));
+  assert.equal(stored.query, 'did kyle start on 2023-01-15 or 01/15/2023? call [phone] or [phone]');
+});
+
+test('opted-out queries get no visitor token and leave no record', async () => {
+  const res = await api.post('/query', { q: 'opted out question' }, { headers: { dnt: '1' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('x-visitor-token'), null);
+
+  const tracked = await api.post('/query', { q: 'tracked question' });
+  assert.match(tracked.headers.get('x-visitor-token'), /^[0-9a-f]{16}$/);
+
+  await new Promise(resolve => setTimeout(resolve, 300));
+  const queries = (await readJsonl(analyticsFile)).map(event => event.query);
+  assert.ok(queries.includes('tracked question'));
+  assert.ok(!queries.includes('opted out question'));
+});
@@ -0,0 +1,50 @@
+// Which answers the first-turn response cache keeps
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+// A 10-token budget sheds every chat call, so answers degrade to KB-only
+const api = await startServer({ LLM_PROVIDERS: '[{"type":"stub","tpm":10}]', RESPONSE_CACHE: 'memory' });
+
+const ask = async body => (await api.post('/query', body)).body;
+
+test('KB-only answers from a shed LLM budget are not cached', async () => {
+  const q = 'Describe Kyle approach to stakeholder escalations';
+  const degraded = await ask({ q });
+  assert.equal(degraded.debug.degraded.reason, 'llm-budget');
+
+  api.setLLMProviders([api.createStubProvider()]);
+  const recovered = await ask({ q });
+  assert.equal(recovered.debug.cache.hit, false);
+  assert.equal(recovered.debug.degraded, undefined);
+
+  const repeated = await ask({ q });
+  assert.equal(repeated.debug.cache.hit, 'exact');
+});
+
+test('diversified answers are not cached', async () => {
+  const q = 'How does Kyle run structured test plans';
+  const reply = 'Kyle has led structured testing programs.';
+  api.setLLMProviders([api.createStubProvider({ reply })]);
+
+  // Same reply as the last bot message triggers the diversification retry
+  await ask({ q, lastBotMessage: reply });
+  const next = await ask({ q });
+  assert.equal(next.debug.cache.hit, false);
+});
+
+test('different non-Latin questions get separate cache entries', async () => {
+  api.setLLMProviders([api.createStubProvider()]);
+  const first = 'Kyle 在自动驾驶方面做了什么';
+  const second = 'Kyle 管理过哪些项目';
+
+  assert.equal((await ask({ q: first })).debug.cache.hit, false);
+  assert.equal((await ask({ q: second })).debug.cache.hit, false);
+  assert.equal((await ask({ q: first })).debug.cache.hit, 'exact');
+});
+
+test('queries with no letters or digits are not cached', async () => {
+  api.setLLMProviders([api.createStubProvider()]);
+  const { debug } = await ask({ q: '??? !!! ...' });
+  assert.equal(debug.cache, undefined);
+});
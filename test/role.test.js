@@ -0,0 +1,40 @@
+// Audience role: /role command, persistence per conversation, one-off "role"
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+
+const QUESTION = 'What kind of projects has Kyle led?';
+
+test('/role is remembered for the rest of the conversation', async () => {
+  const set = await api.post('/query', { q: '/role recruiter', conversationId: 'role-test-1' });
+  assert.equal(set.body.answer, 'Answers will be tailored for a recruiter.');
+
+  const { body } = await api.post('/query', { q: QUESTION, conversationId: 'role-test-1' });
+  assert.deepEqual(body.role, { value: 'recruiter', source: 'explicit' });
+
+  const other = await api.post('/query', { q: QUESTION, conversationId: 'role-test-2' });
+  assert.notEqual(other.body.role.value, 'recruiter');
+});
+
+test('/role auto clears the stored role', async () => {
+  await api.post('/query', { q: '/role engineer', conversationId: 'role-test-3' });
+  const reset = await api.post('/query', { q: '/role auto', conversationId: 'role-test-3' });
+  assert.equal(reset.body.answer, 'The audience will be detected from the conversation again.');
+
+  const { body } = await api.post('/query', { q: QUESTION, conversationId: 'role-test-3' });
+  assert.notEqual(body.role.source, 'explicit');
+});
+
+test('/role without a conversation says it cannot be remembered', async () => {
+  const { body } = await api.post('/query', { q: '/role recruiter' });
+  assert.match(body.answer, /no conversation to remember the role in/);
+});
+
+test('a "role" field applies to that message only', async () => {
+  const { body } = await api.post('/query', { q: QUESTION, role: 'pm' });
+  assert.deepEqual(body.role, { value: 'pm', source: 'explicit' });
+  const next = await api.post('/query', { q: QUESTION });
+  assert.notEqual(next.body.role.value, 'pm');
+});
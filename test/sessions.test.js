@@ -0,0 +1,62 @@
+// Server-side conversation history keyed by conversationId
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer({ SESSION_TTL_MS: '1000' });
+
+const REPLIES = [
+  'Kyle led structured testing programs for autonomous systems.',
+  'Kyle also ran customer escalations for enterprise SaaS accounts.',
+  'Kyle built training data programs that improved perception.'
+];
+
+// Records the messages of every chat request
+function recordingProvider() {
+  const provider = api.createStubProvider();
+  provider.requests = [];
+  provider.chat = async request => {
+    provider.requests.push(request.messages);
+    return REPLIES[(provider.requests.length - 1) % REPLIES.length];
+  };
+  api.setLLMProviders([provider]);
+  return provider;
+}
+
+const FIRST = 'What kind of testing programs has Kyle led?';
+const FOLLOW_UP = 'How did he handle escalations on those programs?';
+
+test('later questions in a conversation see the earlier turns', async () => {
+  const provider = recordingProvider();
+  const first = await api.post('/query', { q: FIRST, conversationId: 'session-test-1' });
+  assert.equal(first.body.conversationId, 'session-test-1');
+
+  provider.requests = [];
+  await api.post('/query', { q: FOLLOW_UP, conversationId: 'session-test-1' });
+  const messages = provider.requests[0];
+  assert.deepEqual(messages.slice(1, -1).map(m => m.role), ['user', 'assistant']);
+  assert.equal(messages[1].content, FIRST);
+  assert.equal(messages[2].content, first.body.answer);
+  assert.match(messages.at(-1).content, /escalations/);
+});
+
+test('questions without a conversationId or in another conversation get no history', async () => {
+  const provider = recordingProvider();
+  const anonymous = await api.post('/query', { q: FOLLOW_UP });
+  assert.equal('conversationId' in anonymous.body, false);
+  await api.post('/query', { q: FOLLOW_UP, conversationId: 'session-test-2' });
+
+  for (const messages of provider.requests) {
+    assert.deepEqual(messages.map(m => m.role), ['system', 'user']);
+  }
+});
+
+test('conversations expire after SESSION_TTL_MS', async () => {
+  const provider = recordingProvider();
+  await api.post('/query', { q: FIRST, conversationId: 'session-test-3' });
+  await new Promise(resolve => setTimeout(resolve, 1100));
+
+  provider.requests = [];
+  await api.post('/query', { q: FOLLOW_UP, conversationId: 'session-test-3' });
+  assert.deepEqual(provider.requests[0].map(m => m.role), ['system', 'user']);
+});
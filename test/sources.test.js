@@ -0,0 +1,38 @@
+// Source citations: the KB entries and retrieval path behind each answer
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+
+// Keeps the system prompt of the last chat request
+const provider = api.createStubProvider();
+const chat = provider.chat;
+provider.chat = async (request, options) => {
+  provider.systemPrompt = request.messages[0].content;
+  return chat(request, options);
+};
+api.setLLMProviders([provider]);
+
+test('a strong match cites the entries sent as context, best first', async () => {
+  const { body } = await api.post('/query', { q: 'Tell me about a time Kyle mitigated a project risk' });
+  assert.equal(body.sources.path, 'strong');
+  assert.ok(body.sources.entries.length > 0);
+
+  const scores = body.sources.entries.map(entry => entry.score);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  for (const entry of body.sources.entries) {
+    assert.deepEqual(Object.keys(entry), ['id', 'category', 'question', 'score']);
+    assert.ok(provider.systemPrompt.includes(`Question: ${entry.question}`), entry.id);
+  }
+});
+
+test('canned answers cite nothing', async () => {
+  const { body } = await api.post('/query', { q: 'hi' });
+  assert.deepEqual(body.sources, { path: 'canned', entries: [] });
+});
+
+test('technical questions are answered without KB context', async () => {
+  const { body } = await api.post('/query', { q: 'What is a Kalman filter and how does it work?' });
+  assert.deepEqual(body.sources, { path: 'technical', entries: [] });
+});
@@ -0,0 +1,62 @@
+// Structured STAR answers ({ starFormat: "json" }) on POST /query
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer({ ADMIN_TOKEN: 'test-admin-token', QUERY_EVENTS_STORE: 'memory' });
+
+const QUESTION = 'Tell me about a time Kyle mitigated a project risk';
+
+// Counts chat calls; reply is the raw model text
+function countingProvider(provider, reply) {
+  provider.calls = 0;
+  provider.chat = async () => {
+    provider.calls++;
+    return reply;
+  };
+  api.setLLMProviders([provider]);
+  return provider;
+}
+
+async function routeCounts() {
+  const { body } = await api.get('/admin/stats?hours=1', { headers: { authorization: 'Bearer test-admin-token' } });
+  return body.routes;
+}
+
+test('a JSON reply comes back as separate STAR fields', async () => {
+  const star = {
+    situation: 'Sensor calibration drift put validation milestones at risk.',
+    task: 'Kyle needed to keep data collection reliable.',
+    action: 'Kyle isolated the affected workflows and coordinated cross-team reviews.',
+    result: 'The program stayed on schedule.'
+  };
+  const provider = countingProvider(api.createStubProvider(), JSON.stringify(star));
+
+  const { body } = await api.post('/query', { q: QUESTION, starFormat: 'json' });
+  assert.equal(body.star.origin, 'llm');
+  assert.equal(body.star.action, star.action);
+  assert.equal(provider.calls, 1);
+  assert.deepEqual(await routeCounts(), { llm: 1 });
+});
+
+test('the model is re-prompted while a part is missing', async () => {
+  const provider = countingProvider(api.createStubProvider(), '{"situation": "Only the situation."}');
+
+  const { body } = await api.post('/query', { q: QUESTION, starFormat: 'json' });
+  assert.equal(provider.calls, 3);
+  assert.equal(body.debug.star.attempts, 3);
+  assert.deepEqual(body.debug.star.missing, ['task', 'action', 'result']);
+});
+
+test('a shed budget skips the model and is recorded as kb-only', async () => {
+  const [provider] = api.createProviders([{ type: 'stub', tpm: 10 }]);
+  countingProvider(provider, 'unused');
+
+  const { body } = await api.post('/query', { q: QUESTION, starFormat: 'json' });
+  assert.equal(provider.calls, 0);
+  assert.equal(body.debug.star.attempts, 0);
+  assert.equal(body.debug.degraded.reason, 'llm-budget');
+  assert.equal(body.star, null);
+  assert.match(body.answer, /mitigation steps/);
+  assert.deepEqual(await routeCounts(), { llm: 2, 'kb-only': 1 });
+});
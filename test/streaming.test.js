@@ -0,0 +1,50 @@
+// SSE streaming on /query/stream and /query with Accept: text/event-stream
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, parseEvents } from './helpers/server.js';
+
+const api = await startServer();
+
+// First-person reply split mid-sentence and mid-word, the way deltas arrive
+const CHUNKS = ['I le', 'd structured testing', ' programs for my team. ', 'Then I', ' scaled them', ' across sites.'];
+
+function streamingProvider() {
+  const provider = api.createStubProvider();
+  provider.chatStream = async function* () {
+    yield* CHUNKS;
+  };
+  api.setLLMProviders([provider]);
+}
+
+const QUESTION = 'What kind of testing programs has Kyle led?';
+
+test('deltas arrive sentence by sentence in third person, then a done event', async () => {
+  streamingProvider();
+  const { status, headers, body } = await api.post('/query/stream', { q: QUESTION });
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/event-stream/);
+
+  const events = parseEvents(body);
+  const deltas = events.filter(e => e.event === 'delta').map(e => e.data.text);
+  assert.ok(deltas.length >= 2, `deltas: ${JSON.stringify(deltas)}`);
+  for (const text of deltas) assert.doesNotMatch(text, /\bI\b|\bmy\b/i);
+  assert.match(deltas.join(''), /Kyle/);
+
+  const done = events.at(-1);
+  assert.equal(done.event, 'done');
+  assert.doesNotMatch(done.data.answer, /\bI\b|\bmy\b/i);
+  assert.ok(done.data.sources);
+});
+
+test('Accept: text/event-stream on /query streams too', async () => {
+  streamingProvider();
+  const { headers, body } = await api.post('/query', { q: QUESTION }, { headers: { accept: 'text/event-stream' } });
+  assert.match(headers.get('content-type'), /^text\/event-stream/);
+  assert.equal(parseEvents(body).at(-1).event, 'done');
+});
+
+test('canned answers are sent as a single delta', async () => {
+  const events = parseEvents((await api.post('/query/stream', { q: 'hi' })).body);
+  assert.deepEqual(events.map(e => e.event), ['delta', 'done']);
+  assert.equal(events[0].data.text, events[1].data.answer);
+});
@@ -0,0 +1,66 @@
+// POST /summary: role-tailored summary whose bullets and stories cite KB ids
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { startServer } from './helpers/server.js';
+
+// More /fit and /summary calls than the default documents limit allows
+const api = await startServer({
+  REQUEST_LIMITS: JSON.stringify([{ name: 'documents', paths: ['/fit', '/summary'], windowMs: 60000, perIp: 100 }])
+});
+
+const kb = JSON.parse(await fs.readFile(new URL('../knowledge-base.json', import.meta.url), 'utf8'));
+// The server keeps the first entry when an id repeats
+const entries = new Map();
+for (const entry of kb.qaDatabase) if (!entries.has(entry.id)) entries.set(entry.id, entry);
+
+const request = { role: 'autonomous vehicle validation lead', bullets: 4, stories: 2 };
+
+test('bullets and stories are lifted from KB entries and carry their ids', async () => {
+  const { status, body } = await api.post('/summary', request);
+  assert.equal(status, 200);
+  assert.equal(body.role, request.role);
+  assert.equal(body.bullets.length, 4);
+  assert.equal(body.stories.length, 2);
+  assert.deepEqual(body.summarySources, body.bullets.map(bullet => bullet.sources[0].id));
+
+  for (const bullet of body.bullets) {
+    const [source] = bullet.sources;
+    const entry = entries.get(source.id);
+    assert.equal(source.question, entry.question);
+    assert.equal(source.category, entry.category);
+  }
+  for (const story of body.stories) {
+    const entry = entries.get(story.sources[0].id);
+    assert.ok(['STAR Examples', 'Behavioral'].includes(entry.category), entry.id);
+    assert.equal(story.title, entry.question);
+  }
+});
+
+test('the target role changes which entries are picked', async () => {
+  const tailored = await api.post('/summary', request);
+  const general = await api.post('/summary', { bullets: 4, stories: 2 });
+  const ids = body => body.bullets.map(bullet => bullet.sources[0].id);
+  assert.equal(general.body.role, null);
+  assert.notDeepEqual(ids(tailored.body), ids(general.body));
+  assert.ok(tailored.body.bullets.some(bullet => /autonomous|AV\b/i.test(bullet.text)));
+});
+
+test('markdown and text renderings cite the same ids', async () => {
+  const { body: report } = await api.post('/summary', request);
+  const ids = [...report.bullets, ...report.stories].map(item => item.sources[0].id);
+
+  const markdown = await api.post('/summary', { ...request, format: 'markdown' });
+  assert.match(markdown.headers.get('content-type'), /text\/markdown/);
+  assert.match(markdown.body, /^## Kyle — summary for autonomous vehicle validation lead/);
+  for (const id of ids) assert.ok(markdown.body.includes(`_(kb: ${id})_`), id);
+
+  const text = await api.post('/summary', { ...request, format: 'text' });
+  assert.match(text.headers.get('content-type'), /text\/plain/);
+  assert.match(text.body, /^KYLE — SUMMARY FOR AUTONOMOUS VEHICLE VALIDATION LEAD/);
+  for (const id of ids) assert.ok(text.body.includes(`[kb: ${id}]`), id);
+});
+
+test('an unknown format is a 400', async () => {
+  assert.equal((await api.post('/summary', { format: 'pdf' })).status, 400);
+});
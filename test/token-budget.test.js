@@ -0,0 +1,61 @@
+// TPM budget reservations are given back when a call fails or a stream is dropped
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const api = await startServer();
+
+// A fresh metered stub, so each test starts from a full 6000-token bucket
+function meteredProvider() {
+  const [provider] = api.createProviders([{ type: 'stub', tpm: 6000 }]);
+  api.setLLMProviders([provider]);
+  return provider;
+}
+
+async function availableTokens() {
+  const { body } = await api.get('/health');
+  return body.llmBudget[0].availableTokens;
+}
+
+const REQUEST = { messages: [{ role: 'user', content: 'hi' }], max_tokens: 3000 };
+
+test('a chat call that throws refunds its whole reservation', async () => {
+  const provider = meteredProvider();
+  provider.chat = async () => {
+    throw Object.assign(new Error('bad request'), { status: 400 });
+  };
+
+  const { status } = await api.post('/query', { q: 'Describe Kyle approach to stakeholder escalations' });
+  assert.equal(status, 500);
+  assert.equal(await availableTokens(), 6000);
+});
+
+test('a stream abandoned before iteration refunds what it never generated', async () => {
+  const provider = meteredProvider();
+  let closed = false;
+  provider.chatStream = async function* () {
+    try {
+      yield 'Kyle ';
+      yield 'validated perception systems.';
+    } finally {
+      closed = true;
+    }
+  };
+
+  const deltas = await api.llmChatStream(REQUEST);
+  assert.ok((await availableTokens()) < 3100);
+
+  await deltas.return();
+  assert.equal(closed, true);
+  assert.ok((await availableTokens()) > 5900);
+});
+
+test('a finished stream keeps only the tokens it used', async () => {
+  meteredProvider();
+  let text = '';
+  for await (const delta of await api.llmChatStream(REQUEST)) text += delta;
+  assert.ok(text.length > 0);
+
+  const available = await availableTokens();
+  assert.ok(available > 5900 && available < 6000, `available ${available}`);
+});